@@ -1,5 +1,13 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import {
+  getUserRoles,
+  hasRole,
+  getUserPermissions,
+  hasPermission,
+  requiresTwoFactor,
+} from '../utils/permissions.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -21,7 +29,33 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Access tokens are bound to a session so they can be revoked server-side
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was revoked',
+        });
+      }
+
       req.user = await User.findById(decoded.id).select('-password');
+      req.sessionId = session._id;
+
+      // Reject missing users and tokens issued before a password change
+      if (!req.user || req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route',
+        });
+      }
+
+      // Admin permissions are withheld until the required 2FA has been set up
+      req.twoFactorSetupRequired = requiresTwoFactor(req.user) && !req.user.twoFactorEnabled;
+      req.permissions = await getUserPermissions(
+        req.user,
+        req.twoFactorSetupRequired ? ['admin'] : []
+      );
       next();
     } catch (error) {
       return res.status(401).json({
@@ -37,15 +71,30 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Allow the request if the user holds any of the given roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!hasRole(req.user, ...roles)) {
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`,
+        message: `User role ${getUserRoles(req.user).join(', ')} is not authorized to access this route`,
       });
     }
     next();
   };
 };
 
+// Allow the request if the user has any of the given permissions
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!hasPermission(req, ...permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: req.twoFactorSetupRequired
+          ? 'Two-factor authentication must be enabled for admin accounts'
+          : `Missing permission: ${permissions.join(' or ')}`,
+      });
+    }
+    next();
+  };
+};
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 
+// absent = unexcused no-show
+export const ATTENDANCE_STATUSES = ['present', 'late', 'trial', 'excused', 'sick', 'absent'];
+// Statuses that count as attending the session
+export const PRESENT_STATUSES = ['present', 'late', 'trial'];
+export const REASON_CODES = ['illness', 'injury', 'family', 'travel', 'school', 'competition', 'other'];
+
 const attendanceSchema = new mongoose.Schema({
   schedule: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,10 +17,27 @@ const attendanceSchema = new mongoose.Schema({
     ref: 'Student',
     required: true,
   },
+  status: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+    default: 'absent',
+  },
+  reasonCode: {
+    type: String,
+    enum: REASON_CODES,
+  },
+  // Kept in sync with status for clients that only read present/absent
   present: {
     type: Boolean,
     default: false,
   },
+  // Who recorded it - parent-reported absences are pre-filled as excused,
+  // check-ins come from a scanned session QR code
+  source: {
+    type: String,
+    enum: ['teacher', 'parent', 'check-in'],
+    default: 'teacher',
+  },
   notes: {
     type: String,
     trim: true,
@@ -27,10 +50,24 @@ const attendanceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Bumped on every change so offline clients can detect concurrent edits.
+  // Records saved before versioning have none and count as 0.
+  version: {
+    type: Number,
+  },
 });
 
 // Compound index to prevent duplicates
 attendanceSchema.index({ schedule: 1, student: 1 }, { unique: true });
 
+attendanceSchema.pre('validate', function (next) {
+  if (this.isModified('status') || !this.isModified('present')) {
+    this.present = PRESENT_STATUSES.includes(this.status);
+  } else {
+    this.status = this.present ? 'present' : 'absent';
+  }
+  next();
+});
+
 export default mongoose.model('Attendance', attendanceSchema);
 
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // 'api' for HTTP requests, 'cli' for scripts run on the server
+  source: {
+    type: String,
+    enum: ['api', 'cli'],
+    default: 'api',
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorName: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
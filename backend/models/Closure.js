@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { toCalendarDate } from '../utils/timezone.js';
+
+// Holiday or closure period. No sessions are generated on these dates for the
+// whole school, a single location or a single group depending on `scope`.
+const closureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['school', 'location', 'group'],
+    default: 'school',
+  },
+  location: {
+    type: String,
+    trim: true,
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+closureSchema.index({ startDate: 1, endDate: 1 });
+
+closureSchema.pre('validate', function (next) {
+  // Stored as calendar days so the range can't slip a day between time zones
+  if (this.startDate) this.startDate = toCalendarDate(this.startDate);
+  if (this.endDate) this.endDate = toCalendarDate(this.endDate);
+
+  if (this.scope === 'location' && !this.location) {
+    this.invalidate('location', 'Location is required for a location closure');
+  }
+  if (this.scope === 'group' && !this.group) {
+    this.invalidate('group', 'Group is required for a group closure');
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+export default mongoose.model('Closure', closureSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Venue from './Venue.js';
 
 const groupSchema = new mongoose.Schema({
   name: {
@@ -11,6 +12,11 @@ const groupSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Default venue for the group's sessions
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+  },
   description: {
     type: String,
     trim: true,
@@ -39,6 +45,14 @@ const groupSchema = new mongoose.Schema({
   },
 });
 
+// Groups created with only a venue take the venue name as their location
+groupSchema.pre('validate', async function () {
+  if (!this.location && this.venue) {
+    const venue = await Venue.findById(this.venue).select('name');
+    this.location = venue?.name;
+  }
+});
+
 // Virtual for student count
 groupSchema.virtual('studentCount').get(function () {
   return this.students ? this.students.length : 0;
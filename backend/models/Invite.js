@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'teacher', 'student', 'parent'],
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+  },
+  assignedGroups: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+    },
+  ],
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  sentAt: {
+    type: Date,
+  },
+  sendCount: {
+    type: Number,
+    default: 0,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+inviteSchema.index({ tokenHash: 1 }, { unique: true });
+
+inviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+// Current state of the invite
+inviteSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Invite can still be accepted
+inviteSchema.methods.isUsable = function () {
+  return this.status === 'pending';
+};
+
+export default mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { toCalendarDate } from '../utils/timezone.js';
+
+// Teacher leave (whole days). Only approved leave affects scheduling.
+const leaveRequestSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['vacation', 'sick', 'training', 'personal', 'other'],
+    default: 'vacation',
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+leaveRequestSchema.index({ teacher: 1, startDate: 1, endDate: 1 });
+
+leaveRequestSchema.pre('validate', function (next) {
+  if (this.startDate) this.startDate = toCalendarDate(this.startDate);
+  if (this.endDate) this.endDate = toCalendarDate(this.endDate);
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+export default mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Stored override of a role's permissions (defaults live in utils/permissions.js)
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['admin', 'teacher', 'student', 'parent'],
+    required: true,
+    unique: true,
+  },
+  permissions: {
+    type: [String],
+    default: [],
+  },
+  // Permission catalog at the time of saving. Permissions added to the catalog
+  // later get the role's defaults until the override is saved again.
+  knownPermissions: {
+    type: [String],
+    default: undefined,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('RolePermission', rolePermissionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SCHOOL_TIMEZONE, applyScheduleTimes, isValidTime } from '../utils/timezone.js';
 
 const scheduleSchema = new mongoose.Schema({
   group: {
@@ -11,26 +12,90 @@ const scheduleSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Calendar day, stored as 00:00 UTC of the local date
   date: {
     type: Date,
     required: true,
   },
+  // Local wall-clock times (HH:MM) in `timeZone`
   startTime: {
     type: String,
     required: true,
+    validate: [isValidTime, 'startTime must be in HH:MM format'],
   },
   endTime: {
     type: String,
     required: true,
+    validate: [isValidTime, 'endTime must be in HH:MM format'],
+  },
+  // Instants derived from date, times and time zone on every save
+  startAt: {
+    type: Date,
+  },
+  endAt: {
+    type: Date,
+  },
+  timeZone: {
+    type: String,
+    default: SCHOOL_TIMEZONE,
   },
   location: {
     type: String,
     trim: true,
   },
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+  },
   description: {
     type: String,
     trim: true,
   },
+  // Teacher covering this session. Gets access to its roster and attendance
+  // without being assigned to the group (see canAccessSchedule).
+  substituteTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  substituteFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Cancelled and rescheduled sessions are kept so they stay visible in calendars
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'rescheduled'],
+    default: 'scheduled',
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+  },
+  statusChangedAt: {
+    type: Date,
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Replacement session of a rescheduled one, and the reverse link
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+  },
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleSeries',
+  },
+  // Edited on its own - series-wide edits leave it alone
+  seriesException: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -41,5 +106,22 @@ const scheduleSchema = new mongoose.Schema({
   },
 });
 
+scheduleSchema.index({ series: 1, date: 1 });
+scheduleSchema.index({ startAt: 1 });
+scheduleSchema.index({ substituteTeacher: 1, startAt: 1 });
+
+scheduleSchema.pre('validate', function (next) {
+  if (this.date && isValidTime(this.startTime) && isValidTime(this.endTime)) {
+    applyScheduleTimes(this);
+    if (this.endAt <= this.startAt) {
+      this.invalidate('endTime', 'endTime must be after startTime');
+    }
+  }
+  next();
+});
+
+// Sessions that no longer take place at their date and time
+export const INACTIVE_STATUSES = ['cancelled', 'rescheduled'];
+
 export default mongoose.model('Schedule', scheduleSchema);
 
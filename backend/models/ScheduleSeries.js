@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { isValidTime, timeToMinutes, toCalendarDate } from '../utils/timezone.js';
+
+// Recurring rule, e.g. "every Tuesday 17:00-18:00 from Sep to May".
+// Occurrences are stored as Schedule documents referencing the series.
+const scheduleSeriesSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // 0 = Sunday
+    max: 6,
+  },
+  // Local wall-clock times (HH:MM), same rules as Schedule
+  startTime: {
+    type: String,
+    required: true,
+    validate: [isValidTime, 'startTime must be in HH:MM format'],
+  },
+  endTime: {
+    type: String,
+    required: true,
+    validate: [
+      { validator: isValidTime, message: 'endTime must be in HH:MM format' },
+      {
+        // Checked here rather than in a hook so validateSync() catches it too
+        validator(endTime) {
+          if (!isValidTime(this.startTime) || !isValidTime(endTime)) {
+            return true;
+          }
+          return timeToMinutes(endTime) > timeToMinutes(this.startTime);
+        },
+        message: 'endTime must be after startTime',
+      },
+    ],
+  },
+  // Repeat every `interval` weeks (2 = biweekly)
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 4,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Dates whose occurrence was deleted on its own and must not be regenerated
+  excludedDates: [
+    {
+      type: Date,
+    },
+  ],
+  location: {
+    type: String,
+    trim: true,
+  },
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Range and excluded dates are calendar days in the school time zone
+scheduleSeriesSchema.pre('validate', function (next) {
+  if (this.startDate) this.startDate = toCalendarDate(this.startDate);
+  if (this.endDate) this.endDate = toCalendarDate(this.endDate);
+  this.excludedDates = this.excludedDates.map((date) => toCalendarDate(date));
+  next();
+});
+
+export default mongoose.model('ScheduleSeries', scheduleSeriesSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Record of a teacher covering a session, kept for payroll even if the
+// substitute is later changed (removedAt is set instead of deleting)
+const substitutionSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: true,
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+  },
+  substitute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  replacedTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  startAt: {
+    type: Date,
+    required: true,
+  },
+  endAt: {
+    type: Date,
+    required: true,
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  removedAt: {
+    type: Date,
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+substitutionSchema.index({ startAt: 1 });
+substitutionSchema.index({ schedule: 1, removedAt: 1 });
+
+export default mongoose.model('Substitution', substitutionSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { isValidTime, toCalendarDate } from '../utils/timezone.js';
+
+// Weekly window in which a teacher can teach. A teacher without approved
+// windows is treated as available at any time.
+const teacherAvailabilitySchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // 0 = Sunday
+    max: 6,
+  },
+  startTime: {
+    type: String,
+    required: true,
+    validate: [isValidTime, 'startTime must be in HH:MM format'],
+  },
+  endTime: {
+    type: String,
+    required: true,
+    validate: [isValidTime, 'endTime must be in HH:MM format'],
+  },
+  // Optional period the window applies to (e.g. one semester)
+  validFrom: {
+    type: Date,
+  },
+  validUntil: {
+    type: Date,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+teacherAvailabilitySchema.index({ teacher: 1, status: 1 });
+
+teacherAvailabilitySchema.pre('validate', function (next) {
+  if (this.validFrom) this.validFrom = toCalendarDate(this.validFrom);
+  if (this.validUntil) this.validUntil = toCalendarDate(this.validUntil);
+  next();
+});
+
+export default mongoose.model('TeacherAvailability', teacherAvailabilitySchema);
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { createToken, hashToken } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -31,12 +35,71 @@ const userSchema = new mongoose.Schema({
       return [this.role];
     },
   },
+  // Linked Parent record for parent portal accounts
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+  },
+  // Linked Student record for student accounts
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+  },
   assignedGroups: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Group',
     },
   ],
+  passwordChangedAt: {
+    type: Date,
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated during enrollment, promoted once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
+  // Secret for calendar feed URLs, which can't carry a bearer token
+  calendarFeedTokenHash: {
+    type: String,
+    select: false,
+    unique: true,
+    sparse: true,
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -49,6 +112,12 @@ userSchema.pre('save', async function (next) {
     return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    // Back-date by a second so a token issued right after the change stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+    // Calendar feed links stop working too, like sessions
+    this.calendarFeedTokenHash = undefined;
+  }
   next();
 });
 
@@ -57,5 +126,53 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether a JWT issued at `iat` (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function (iat) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return iat * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Create a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function () {
+  const { token, tokenHash } = createToken();
+  this.passwordResetTokenHash = tokenHash;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Create a calendar feed token, replacing any previous one
+userSchema.methods.createCalendarFeedToken = function () {
+  const { token, tokenHash } = createToken();
+  this.calendarFeedTokenHash = tokenHash;
+  return token;
+};
+
+// Check a TOTP code or single-use recovery code; caller saves the user.
+// Requires the twoFactor* fields to be selected.
+userSchema.methods.consumeSecondFactor = function ({ code, recoveryCode }) {
+  if (code && this.twoFactorSecret) {
+    const step = verifyTotp(this.twoFactorSecret, code, this.twoFactorLastUsedStep ?? -1);
+    if (step !== null) {
+      this.twoFactorLastUsedStep = step;
+      return true;
+    }
+    return false;
+  }
+
+  if (recoveryCode) {
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(
+      hashToken(String(recoveryCode).trim().toLowerCase())
+    );
+    if (index !== -1) {
+      this.twoFactorRecoveryCodes.splice(index, 1);
+      return true;
+    }
+  }
+
+  return false;
+};
+
 export default mongoose.model('User', userSchema);
 
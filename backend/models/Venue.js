@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Hall or room where sessions take place
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  capacity: {
+    type: Number,
+    min: 0,
+  },
+  // Weekly opening hours. A venue without any is treated as always open.
+  openingHours: [
+    {
+      dayOfWeek: {
+        type: Number,
+        required: true,
+        min: 0, // 0 = Sunday
+        max: 6,
+      },
+      opens: {
+        type: String,
+        required: true,
+      },
+      closes: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
+  notes: {
+    type: String,
+    trim: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Opening hours that apply to the date's weekday
+venueSchema.methods.hoursOn = function (date) {
+  const dayOfWeek = new Date(date).getUTCDay();
+  return this.openingHours.filter((hours) => hours.dayOfWeek === dayOfWeek);
+};
+
+// Whole session fits inside one of the opening hour ranges of that day
+venueSchema.methods.isOpenAt = function (date, startTime, endTime) {
+  if (!this.openingHours.length) {
+    return true;
+  }
+  return this.hoursOn(date).some(
+    (hours) => toMinutes(hours.opens) <= toMinutes(startTime) && toMinutes(endTime) <= toMinutes(hours.closes)
+  );
+};
+
+export default mongoose.model('Venue', venueSchema);
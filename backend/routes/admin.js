@@ -3,18 +3,64 @@ import User from '../models/User.js';
 import Group from '../models/Group.js';
 import Student from '../models/Student.js';
 import Parent from '../models/Parent.js';
-import { protect, authorize } from '../middleware/auth.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
+import RolePermission from '../models/RolePermission.js';
+import AuditLog from '../models/AuditLog.js';
+import Substitution from '../models/Substitution.js';
+import { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { createToken } from '../utils/tokens.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import { clearAccountFailures } from '../utils/loginThrottle.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getRolePermissionMap,
+  invalidatePermissionCache,
+} from '../utils/permissions.js';
+import { sendInviteEmail } from '../utils/emailService.js';
 
 const router = express.Router();
 
-// All routes require admin role
+const INVITE_TTL_DAYS = 7;
+const INVITE_ROLES = ['admin', 'teacher', 'parent', 'student'];
+
+// Give the invite a fresh token and expiry, save it and email the link
+const issueInvite = async (invite) => {
+  const { token, tokenHash } = createToken();
+  invite.tokenHash = tokenHash;
+  invite.expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  invite.sentAt = new Date();
+  invite.sendCount += 1;
+  await invite.save();
+
+  try {
+    await sendInviteEmail(invite, token, invite.name);
+  } catch (emailError) {
+    console.error('Error sending invite email:', emailError);
+    // Don't fail the request if email fails
+  }
+
+  return invite;
+};
+
+// Only one pending invite per email: still-valid ones are revoked so they stay in
+// the history, only expired ones are removed
+const retirePendingInvites = async (email) => {
+  const now = new Date();
+  await Invite.deleteMany({ email, acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+  await Invite.updateMany({ email, acceptedAt: null, revokedAt: null }, { revokedAt: now });
+};
+
+// All routes require a logged-in user; each route checks its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Private (Admin only)
-router.get('/users', async (req, res) => {
+// @access  Private (user:manage)
+router.get('/users', requirePermission('user:manage'), async (req, res) => {
   try {
     const users = await User.find()
       .select('-password')
@@ -34,12 +80,20 @@ router.get('/users', async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id
-// @desc    Update user (name, email, password, assign groups, change roles)
-// @access  Private (Admin only)
-router.put('/users/:id', async (req, res) => {
+// @desc    Update user (name, email, assign groups, change roles). Passwords are only set by
+//          the user, through an invite or the forgot-password flow.
+// @access  Private (user:manage)
+router.put('/users/:id', requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, password, assignedGroups, role, roles } = req.body;
 
+    if (password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot set passwords. Send an invite or ask the user to reset their password.',
+      });
+    }
+
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
@@ -50,9 +104,14 @@ router.put('/users/:id', async (req, res) => {
 
     if (name) user.name = name;
     if (email) user.email = email;
-    if (password) user.password = password; // Will be hashed by pre-save hook
     if (assignedGroups !== undefined) user.assignedGroups = assignedGroups;
-    if (role) user.role = role;
+    if (role) {
+      user.role = role;
+      // Keep the primary role part of the roles array
+      if (!user.roles.includes(role)) {
+        user.roles.push(role);
+      }
+    }
     if (roles && Array.isArray(roles)) {
       user.roles = roles;
       // Set primary role to first role in array
@@ -79,10 +138,283 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after repeated failed logins
+// @access  Private (user:manage)
+router.post('/users/:id/unlock', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await clearAccountFailures(user);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Get a user's active sessions
+// @access  Private (user:manage)
+router.get('/users/:id/sessions', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke all of a user's sessions (e.g. lost phone)
+// @access  Private (user:manage)
+router.delete('/users/:id/sessions', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Revoke a single session of a user
+// @access  Private (user:manage)
+router.delete('/users/:id/sessions/:sessionId', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.params.id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    session.revokedAt = session.revokedAt || new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/invites
+// @desc    Get invites (optionally filtered by status)
+// @access  Private (user:manage)
+router.get('/invites', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .populate('invitedBy', 'name email')
+      .populate('assignedGroups', 'name location')
+      .populate('parent', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    const data = req.query.status
+      ? invites.filter((invite) => invite.status === req.query.status)
+      : invites;
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/invites
+// @desc    Invite a teacher, admin, parent or student by email. Student invites need studentId.
+// @access  Private (user:manage)
+router.post('/invites', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { email, name, role, assignedGroups, parentId, studentId } = req.body;
+
+    if (!email || !INVITE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide email and one of roles: ${INVITE_ROLES.join(', ')}`,
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const userExists = await User.findOne({ email: normalizedEmail });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists',
+      });
+    }
+
+    let parent = null;
+    if (role === 'parent') {
+      parent = parentId
+        ? await Parent.findById(parentId)
+        : await Parent.findOne({ email: normalizedEmail });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lapsevanem ei leitud',
+        });
+      }
+    }
+
+    let student = null;
+    if (role === 'student') {
+      student = studentId ? await Student.findById(studentId) : null;
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Õpilast ei leitud',
+        });
+      }
+    }
+
+    await retirePendingInvites(normalizedEmail);
+
+    const invite = await issueInvite(
+      new Invite({
+        email: normalizedEmail,
+        name,
+        role,
+        parent: parent ? parent._id : undefined,
+        student: student ? student._id : undefined,
+        assignedGroups: role === 'teacher' && Array.isArray(assignedGroups) ? assignedGroups : [],
+        invitedBy: req.user._id,
+      })
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invite,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/invites/:id/resend
+// @desc    Resend invite with a new link (previous link stops working)
+// @access  Private (user:manage)
+router.post('/invites/:id/resend', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+      });
+    }
+
+    if (invite.acceptedAt || invite.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Invite is already ${invite.status}`,
+      });
+    }
+
+    await issueInvite(invite);
+
+    res.json({
+      success: true,
+      data: invite,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/admin/invites/:id
+// @desc    Revoke invite
+// @access  Private (user:manage)
+router.delete('/invites/:id', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+      });
+    }
+
+    if (invite.acceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite has already been accepted',
+      });
+    }
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    res.json({
+      success: true,
+      data: invite,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/admin/parents
 // @desc    Get all parents
-// @access  Private (Admin only)
-router.get('/parents', async (req, res) => {
+// @access  Private (parent:manage)
+router.get('/parents', requirePermission('parent:manage'), async (req, res) => {
   try {
     let query = {};
 
@@ -113,8 +445,8 @@ router.get('/parents', async (req, res) => {
 
 // @route   POST /api/admin/parents
 // @desc    Create new parent
-// @access  Private (Admin only)
-router.post('/parents', async (req, res) => {
+// @access  Private (parent:manage)
+router.post('/parents', requirePermission('parent:manage'), async (req, res) => {
   try {
     const parent = await Parent.create(req.body);
 
@@ -132,8 +464,8 @@ router.post('/parents', async (req, res) => {
 
 // @route   PUT /api/admin/parents/:id
 // @desc    Update parent
-// @access  Private (Admin only)
-router.put('/parents/:id', async (req, res) => {
+// @access  Private (parent:manage)
+router.put('/parents/:id', requirePermission('parent:manage'), async (req, res) => {
   try {
     const parent = await Parent.findByIdAndUpdate(
       req.params.id,
@@ -163,10 +495,57 @@ router.put('/parents/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/parents/:id/invite
+// @desc    Invite parent to the parent portal (409 if an account with the email already exists)
+// @access  Private (parent:manage)
+router.post('/parents/:id/invite', requirePermission('parent:manage'), async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lapsevanem ei leitud',
+      });
+    }
+
+    // Portal access is never added to an existing account without its owner's consent
+    const existingUser = await User.findOne({ email: parent.email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+      });
+    }
+
+    await retirePendingInvites(parent.email);
+
+    const invite = await issueInvite(
+      new Invite({
+        email: parent.email,
+        name: `${parent.firstName || ''} ${parent.lastName || ''}`.trim(),
+        role: 'parent',
+        parent: parent._id,
+        invitedBy: req.user._id,
+      })
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invite,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   DELETE /api/admin/parents/:id
 // @desc    Delete parent
-// @access  Private (Admin only)
-router.delete('/parents/:id', async (req, res) => {
+// @access  Private (parent:manage)
+router.delete('/parents/:id', requirePermission('parent:manage'), async (req, res) => {
   try {
     const parent = await Parent.findById(req.params.id);
 
@@ -214,15 +593,156 @@ router.delete('/parents/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/permissions
+// @desc    Get the permission catalogue and current role-to-permission map
+// @access  Private (permission:manage)
+router.get('/permissions', requirePermission('permission:manage'), async (req, res) => {
+  try {
+    const roles = await getRolePermissionMap();
+    const overrides = await RolePermission.find().select('role updatedAt updatedBy');
+
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles,
+        defaults: DEFAULT_ROLE_PERMISSIONS,
+        overrides,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/permissions/:role
+// @desc    Replace the permissions of a role
+// @access  Private (permission:manage)
+router.put('/permissions/:role', requirePermission('permission:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a permissions array',
+      });
+    }
+
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`,
+      });
+    }
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      {
+        permissions: [...new Set(permissions)],
+        knownPermissions: Object.keys(PERMISSIONS),
+        updatedBy: req.user._id,
+        updatedAt: new Date(),
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    invalidatePermissionCache();
+
+    res.json({
+      success: true,
+      data: rolePermission,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/admin/permissions/:role
+// @desc    Reset a role to its default permissions
+// @access  Private (permission:manage)
+router.delete('/permissions/:role', requirePermission('permission:manage'), async (req, res) => {
+  try {
+    if (!ROLES.includes(req.params.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    await RolePermission.deleteOne({ role: req.params.role });
+    invalidatePermissionCache();
+
+    res.json({
+      success: true,
+      data: {
+        role: req.params.role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[req.params.role],
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries (optionally filtered by action)
+// @access  Private (audit:read)
+router.get('/audit-logs', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/admin/stats
 // @desc    Get dashboard statistics
-// @access  Private (Admin only)
-router.get('/stats', async (req, res) => {
+// @access  Private (stats:read)
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     const totalGroups = await Group.countDocuments();
     const totalStudents = await Student.countDocuments();
     const totalParents = await Parent.countDocuments();
-    const totalTeachers = await User.countDocuments({ role: 'teacher' });
+    const totalTeachers = await User.countDocuments({
+      $or: [{ role: 'teacher' }, { roles: 'teacher' }],
+    });
 
     res.json({
       success: true,
@@ -241,5 +761,63 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/reports/substitutions
+// @desc    Substitutions in a date range with totals per substitute (for payroll).
+//          Cancelled or rescheduled sessions are listed but not counted.
+// @access  Private (payroll:read)
+router.get('/reports/substitutions', requirePermission('payroll:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, teacherId } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate are required',
+      });
+    }
+
+    const query = {
+      removedAt: null,
+      startAt: { $gte: new Date(startDate), $lte: new Date(endDate) },
+    };
+    if (teacherId) {
+      query.substitute = teacherId;
+    }
+
+    const substitutions = await Substitution.find(query)
+      .populate('substitute', 'name email')
+      .populate('replacedTeacher', 'name email')
+      .populate('group', 'name')
+      .populate('schedule', 'title date startTime endTime status')
+      .sort({ startAt: 1 });
+
+    const totals = {};
+    const records = substitutions.map((substitution) => {
+      const counted =
+        Boolean(substitution.schedule) && !INACTIVE_STATUSES.includes(substitution.schedule.status);
+      if (counted && substitution.substitute) {
+        const key = substitution.substitute._id.toString();
+        totals[key] = totals[key] || { teacher: substitution.substitute, sessions: 0, minutes: 0 };
+        totals[key].sessions += 1;
+        totals[key].minutes += substitution.durationMinutes;
+      }
+      return { ...substitution.toObject(), counted };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totals: Object.values(totals),
+        substitutions: records,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 export default router;
 
@@ -1,21 +1,36 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { protect } from '../middleware/auth.js';
+import Group from '../models/Group.js';
+import Invite from '../models/Invite.js';
+import Parent from '../models/Parent.js';
+import Session from '../models/Session.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { hashToken } from '../utils/tokens.js';
+import {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../utils/sessions.js';
+import { generateSecret, buildOtpauthUrl, verifyTotp, generateRecoveryCodes } from '../utils/totp.js';
+import { requiresTwoFactor } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendPasswordResetEmail } from '../utils/emailService.js';
+import {
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  isAccountLocked,
+  recordLoginFailure,
+  clearAccountFailures,
+} from '../utils/loginThrottle.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
-};
-
 // @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Public (or Admin only in production)
-router.post('/register', async (req, res) => {
+// @desc    Register a new user (everyone else joins through an invite)
+// @access  Private (user:manage)
+router.post('/register', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
 
@@ -36,6 +51,13 @@ router.post('/register', async (req, res) => {
       role: role || 'teacher',
     });
 
+    await recordAudit('user.register', {
+      req,
+      target: user._id,
+      details: { email: user.email, role: user.role },
+    });
+
+    // No session is returned - the admin stays logged in as themselves
     res.status(201).json({
       success: true,
       data: {
@@ -43,7 +65,7 @@ router.post('/register', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        roles: user.roles,
       },
     });
   } catch (error) {
@@ -69,10 +91,24 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many login attempts. Please try again later.',
+        retryAfter: ipRetryAfter,
+      });
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
+    // A locked or backed-off account gets the same answer as a wrong password,
+    // so the responses don't reveal which emails have accounts. The owner is
+    // told about a lock by email.
+    if (!user || isAccountLocked(user) || getAccountRetryAfter(user) > 0) {
+      await recordLoginFailure(req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -83,12 +119,28 @@ router.post('/login', async (req, res) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordLoginFailure(req.ip, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
+    if (user.failedLoginAttempts > 0 || user.lastFailedLoginAt) {
+      await clearAccountFailures(user);
+    }
+
+    // Second step: the client completes login at /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
+        },
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -96,8 +148,518 @@ router.post('/login', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        roles: user.roles,
         assignedGroups: user.assignedGroups,
-        token: generateToken(user._id),
+        parent: user.parent,
+        student: user.student,
+        twoFactorSetupRequired: requiresTwoFactor(user),
+        ...(await createSession(user, req)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (with challenge token from /login)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId || (!code && !recoveryCode)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again',
+      });
+    }
+
+    const user = await User.findById(userId).select(
+      '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+    );
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again',
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to repeated failed logins',
+        lockedUntil: user.lockedUntil,
+      });
+    }
+
+    const retryAfterSeconds = getAccountRetryAfter(user);
+    if (retryAfterSeconds > 0) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many login attempts. Please try again later.',
+        retryAfter: retryAfterSeconds,
+      });
+    }
+
+    // Guessed codes count towards the same throttle as passwords
+    if (!user.consumeSecondFactor({ code, recoveryCode })) {
+      await recordLoginFailure(req.ip, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        assignedGroups: user.assignedGroups,
+        parent: user.parent,
+        student: user.student,
+        recoveryCodesLeft: user.twoFactorRecoveryCodes.length,
+        ...(await createSession(user, req)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/invites/:token
+// @desc    Look up a pending invite (to prefill the password setup form)
+// @access  Public
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ tokenHash: hashToken(req.params.token) });
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite is invalid or has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept invite and set password
+// @access  Public
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token and password',
+      });
+    }
+
+    // Claim the invite atomically so a link can only be used once
+    const invite = await Invite.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite is invalid or has expired',
+      });
+    }
+
+    let user;
+    try {
+      const userExists = await User.findOne({ email: invite.email });
+      if (userExists) {
+        throw new Error('User already exists');
+      }
+
+      let displayName = name || invite.name;
+      if (!displayName && invite.parent) {
+        const parent = await Parent.findById(invite.parent);
+        displayName = parent ? `${parent.firstName || ''} ${parent.lastName || ''}`.trim() : '';
+      }
+
+      user = await User.create({
+        name: displayName || invite.email,
+        email: invite.email,
+        password,
+        role: invite.role,
+        parent: invite.parent,
+        student: invite.student,
+        assignedGroups: invite.assignedGroups,
+      });
+    } catch (error) {
+      // Release the invite so it can be retried (e.g. password too short)
+      invite.acceptedAt = undefined;
+      await invite.save();
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Keep the group side of the teacher assignment in step with the user
+    if (invite.assignedGroups.length) {
+      await Group.updateMany(
+        { _id: { $in: invite.assignedGroups } },
+        { $addToSet: { teachers: user._id } }
+      );
+    }
+
+    await recordAudit('user.register', {
+      req,
+      target: user._id,
+      details: { email: user.email, role: user.role, invite: invite._id },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        parent: user.parent,
+        student: user.student,
+        ...(await createSession(user, req)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset link by email
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email',
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (emailError) {
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a reset link has been sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token and password',
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    // Password change also ends every existing session
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving access to the mailbox also lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    // The mailbox alone is not a second factor - finish signing in at /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        ...(await createSession(user, req)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token',
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash }).select(
+      '+refreshTokenHash'
+    );
+
+    if (!session) {
+      // An already rotated token was replayed - assume it leaked and end that session
+      const reused = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reused && !reused.revokedAt) {
+        reused.revokedAt = new Date();
+        await reused.save();
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (
+      !session.isActive() ||
+      !user ||
+      (user.passwordChangedAt && user.passwordChangedAt > session.createdAt)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was revoked',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await rotateSession(session, req),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session belonging to a refresh token
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token',
+      });
+    }
+
+    await Session.updateOne(
+      { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all other sessions of the current user
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    session.revokedAt = session.revokedAt || new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment - returns a new secret for the authenticator app
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, req.user.email),
       },
     });
   } catch (error) {
@@ -108,12 +670,144 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(recoveryCode));
+    await user.save();
+
+    // Recovery codes are only shown this once
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+    );
+
+    if (!user.twoFactorEnabled || !user.consumeSecondFactor({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(recoveryCode));
+    await user.save();
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (requiresTwoFactor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      '+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+    );
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (
+      !password ||
+      !(await user.comparePassword(password)) ||
+      !user.consumeSecondFactor({ code, recoveryCode })
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code',
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate('assignedGroups');
+    const user = await User.findById(req.user._id)
+      .populate('assignedGroups')
+      .populate('parent', 'firstName lastName email phone students');
 
     res.json({
       success: true,
@@ -0,0 +1,183 @@
+import express from 'express';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Parent from '../models/Parent.js';
+import Student from '../models/Student.js';
+import Schedule from '../models/Schedule.js';
+import { protect } from '../middleware/auth.js';
+import { hashToken } from '../utils/tokens.js';
+import { getUserPermissions, canAccessGroup, requiresTwoFactor } from '../utils/permissions.js';
+import { buildCalendar } from '../utils/ics.js';
+
+const router = express.Router();
+
+// Past sessions stay in the feed for a while so recent history is visible
+const FEED_HISTORY_DAYS = 60;
+
+// Calendar apps can't send a bearer token, so feeds are authorised by the
+// secret token in the URL instead
+const resolveFeedUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.token) });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    // Admin permissions are withheld until the required 2FA is set up, as in protect
+    req.user = user;
+    req.permissions = await getUserPermissions(
+      user,
+      requiresTwoFactor(user) && !user.twoFactorEnabled ? ['admin'] : []
+    );
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Groups of the children linked to the user's parent profile
+const getParentGroupIds = async (user) => {
+  const parent = user.parent ? await Parent.findById(user.parent) : null;
+  if (!parent) {
+    return [];
+  }
+  const children = await Student.find({
+    $or: [{ _id: { $in: parent.students } }, { parent: parent._id }],
+  }).select('group');
+  return [...new Set(children.filter((child) => child.group).map((child) => child.group.toString()))];
+};
+
+const sendFeed = async (res, groupIds, name, extraSessions = []) => {
+  const schedules = await Schedule.find({
+    $or: [{ group: { $in: groupIds } }, ...extraSessions],
+    date: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+  })
+    .populate('group', 'name')
+    .sort({ date: 1, startTime: 1 });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+  res.send(buildCalendar(schedules, name));
+};
+
+// @route   POST /api/calendar/token
+// @desc    Create (or replace) the user's calendar feed token and return feed URLs
+// @access  Private
+router.post('/token', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.createCalendarFeedToken();
+    await user.save();
+
+    const base = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}`;
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        feeds: {
+          teacher: `${base}/teacher.ics`,
+          parent: `${base}/parent.ics`,
+          group: `${base}/groups/:groupId.ics`,
+        },
+      },
+      message: 'Previous calendar feed links no longer work',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/token
+// @desc    Revoke the user's calendar feed token
+// @access  Private
+router.delete('/token', protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedTokenHash: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token/groups/:groupId.ics
+// @desc    ICS feed of one group
+// @access  Feed token (schedule:read, assigned group or child's group)
+router.get('/feed/:token/groups/:groupId.ics', resolveFeedUser, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId).select('name');
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const allowed =
+      canAccessGroup(req, 'schedule:read', group._id) ||
+      (await getParentGroupIds(req.user)).includes(group._id.toString());
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this group',
+      });
+    }
+
+    await sendFeed(res, [group._id], `Võimle Pehmelt - ${group.name}`);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token/teacher.ics
+// @desc    ICS feed across the teacher's assigned groups and sessions they cover
+// @access  Feed token
+router.get('/feed/:token/teacher.ics', resolveFeedUser, async (req, res) => {
+  try {
+    await sendFeed(res, req.user.assignedGroups || [], `Võimle Pehmelt - ${req.user.name}`, [
+      { substituteTeacher: req.user._id },
+    ]);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token/parent.ics
+// @desc    ICS feed across the groups of the parent's children
+// @access  Feed token
+router.get('/feed/:token/parent.ics', resolveFeedUser, async (req, res) => {
+  try {
+    await sendFeed(res, await getParentGroupIds(req.user), 'Võimle Pehmelt - trennid');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,214 @@
+import express from 'express';
+import Closure from '../models/Closure.js';
+import Group from '../models/Group.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { canAccessGroup } from '../utils/permissions.js';
+import { findClosures, findAffectedSchedules, cancelAffectedSchedules } from '../utils/closures.js';
+
+const router = express.Router();
+
+const CLOSURE_FIELDS = ['name', 'startDate', 'endDate', 'scope', 'location', 'group', 'description'];
+
+const pickClosureFields = (body) => {
+  const fields = {};
+  CLOSURE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Sessions inside the closure are listed, or cancelled when `cancelSessions` is set.
+// Parents are emailed about cancellations unless `notifyParents: false` is sent.
+const handleAffectedSessions = async (closure, req, cancelSessions) => {
+  if (cancelSessions) {
+    return cancelAffectedSchedules(closure, req.user._id, {
+      notifyParents: req.body.notifyParents !== false,
+    });
+  }
+  return { affectedSessions: await findAffectedSchedules(closure) };
+};
+
+router.use(protect);
+
+// @route   GET /api/closures
+// @desc    Get holidays and closures (optionally by date range or group)
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    let group;
+    if (req.query.groupId) {
+      if (!canAccessGroup(req, 'schedule:read', req.query.groupId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this group',
+        });
+      }
+
+      group = await Group.findById(req.query.groupId).select('location');
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found',
+        });
+      }
+    }
+
+    const closures = await findClosures({
+      from: req.query.startDate,
+      to: req.query.endDate,
+      group,
+    });
+    await Closure.populate(closures, { path: 'group', select: 'name location' });
+
+    res.json({
+      success: true,
+      data: closures,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/closures/:id
+// @desc    Get closure with the sessions that fall inside it
+// @access  Private (closure:manage)
+router.get('/:id', requirePermission('closure:manage'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id).populate('group', 'name location');
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: closure,
+      affectedSessions: await findAffectedSchedules(closure),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/closures
+// @desc    Create closure. Returns affected sessions, or cancels them with `cancelSessions: true`
+// @access  Private (closure:manage)
+router.post('/', requirePermission('closure:manage'), async (req, res) => {
+  try {
+    const closure = await Closure.create({
+      ...pickClosureFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: closure,
+      ...(await handleAffectedSessions(closure, req, req.body.cancelSessions)),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/closures/:id
+// @desc    Update closure. Returns affected sessions, or cancels them with `cancelSessions: true`
+// @access  Private (closure:manage)
+router.put('/:id', requirePermission('closure:manage'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found',
+      });
+    }
+
+    Object.assign(closure, pickClosureFields(req.body), { updatedAt: new Date() });
+    await closure.save();
+
+    res.json({
+      success: true,
+      data: closure,
+      ...(await handleAffectedSessions(closure, req, req.body.cancelSessions)),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/closures/:id/cancel-sessions
+// @desc    Cancel existing sessions that fall inside the closure
+// @access  Private (closure:manage)
+router.post('/:id/cancel-sessions', requirePermission('closure:manage'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found',
+      });
+    }
+
+    const result = await handleAffectedSessions(closure, req, true);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.cancelled} trenni tühistatud`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/closures/:id
+// @desc    Delete closure (cancelled sessions are not restored)
+// @access  Private (closure:manage)
+router.delete('/:id', requirePermission('closure:manage'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found',
+      });
+    }
+
+    await closure.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Closure deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
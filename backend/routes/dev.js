@@ -0,0 +1,103 @@
+import express from 'express';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Student from '../models/Student.js';
+import Parent from '../models/Parent.js';
+import Schedule from '../models/Schedule.js';
+import Update from '../models/Update.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Destructive development helpers. Only mounted by server.js when
+// ENABLE_SEED_ENDPOINT=true and NODE_ENV is not production.
+const router = express.Router();
+
+// @route   POST /api/dev/seed-full
+// @desc    Wipe the database and create demo admin, teachers and groups
+// @access  Public (development only, body must contain { "confirm": "RESET" })
+router.post('/seed-full', async (req, res) => {
+  try {
+    if (req.body.confirm !== 'RESET') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send { "confirm": "RESET" } to wipe and reseed the database',
+      });
+    }
+
+    // Written before wiping so the trail survives a failed seed
+    await recordAudit('database.seed', {
+      req,
+      details: { endpoint: '/api/dev/seed-full', env: process.env.NODE_ENV || 'development' },
+    });
+
+    // Clear existing data
+    await User.deleteMany({});
+    await Group.deleteMany({});
+    await Student.deleteMany({});
+    await Parent.deleteMany({});
+    await Schedule.deleteMany({});
+    await Update.deleteMany({});
+
+    // Create admin
+    await User.create({
+      name: 'Admin User',
+      email: 'admin@tantsukool.ee',
+      password: 'admin123',
+      role: 'admin',
+    });
+
+    // Create teachers
+    const teachers = [];
+    for (let i = 0; i < 5; i++) {
+      const teacher = await User.create({
+        name: `Õpetaja ${i + 1}`,
+        email: `teacher${i + 1}@tantsukool.ee`,
+        password: 'teacher123',
+        role: 'teacher',
+      });
+      teachers.push(teacher);
+    }
+
+    // Create groups
+    const groupNames = [
+      'Laste Tantsugrupp',
+      'Noorte Tantsugrupp',
+      'Kontemporaarne Tants',
+      'Balleti Algajad',
+      'Hip-Hop Tants',
+    ];
+
+    const locations = ['Tallinn', 'Tartu', 'Narva', 'Pärnu', 'Viljandi'];
+
+    const groups = [];
+    for (let i = 0; i < 5; i++) {
+      const group = await Group.create({
+        name: groupNames[i],
+        location: locations[i],
+        description: `${groupNames[i]} asub ${locations[i]}s.`,
+        teachers: [teachers[i]._id],
+      });
+      groups.push(group);
+
+      teachers[i].assignedGroups.push(group._id);
+      await teachers[i].save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Full database seeded successfully!',
+      created: {
+        users: 6,
+        groups: groups.length,
+        admin: 'admin@tantsukool.ee / admin123',
+        teachers: 'teacher1@tantsukool.ee / teacher123 (and teacher2-5)',
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
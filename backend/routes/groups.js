@@ -3,11 +3,14 @@ import mongoose from 'mongoose';
 import Group from '../models/Group.js';
 import Student from '../models/Student.js';
 import Parent from '../models/Parent.js';
-import Schedule from '../models/Schedule.js';
-import { protect } from '../middleware/auth.js';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { groupScope, canAccessGroup } from '../utils/permissions.js';
 
 const router = express.Router();
 
+router.use(protect);
+
 const normalizeParentName = (name) => {
   if (!name) {
     return {
@@ -62,17 +65,19 @@ const removeParentFromGroupIfUnused = async (groupId, parentId) => {
 
 // @route   GET /api/groups
 // @desc    Get all groups
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private (group:read or group:read:own-groups)
+router.get('/', requirePermission('group:read', 'group:read:own-groups'), async (req, res) => {
   try {
     let query = {};
     
-    // If user is a teacher, only show their assigned groups
-    if (req.user.role === 'teacher') {
-      query._id = { $in: req.user.assignedGroups };
+    // Limit to assigned groups unless the user can read all groups
+    const scope = groupScope(req, 'group:read');
+    if (scope) {
+      query._id = { $in: scope };
     }
 
     const groups = await Group.find(query)
+      .populate('venue', 'name address')
       .populate('teachers', 'name email')
       .populate('students', 'firstName lastName age')
       .sort({ name: 1 });
@@ -82,9 +87,10 @@ router.get('/', protect, async (req, res) => {
       groups.map(async (group) => {
         const nextSchedule = await Schedule.findOne({
           group: group._id,
-          date: { $gte: new Date() },
+          startAt: { $gte: new Date() },
+          status: { $nin: INACTIVE_STATUSES },
         })
-          .sort({ date: 1, startTime: 1 })
+          .sort({ startAt: 1 })
           .limit(1);
 
         const groupObj = group.toObject();
@@ -114,16 +120,9 @@ router.get('/', protect, async (req, res) => {
 
 // @route   GET /api/groups/:id/full
 // @desc    Get group with full relations for admin bulk editor
-// @access  Private (Admin only)
-router.get('/:id/full', protect, async (req, res) => {
+// @access  Private (group:write)
+router.get('/:id/full', requirePermission('group:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to access this resource',
-      });
-    }
-
     const group = await Group.findById(req.params.id)
       .populate({
         path: 'students',
@@ -155,10 +154,11 @@ router.get('/:id/full', protect, async (req, res) => {
 
 // @route   GET /api/groups/:id
 // @desc    Get single group
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (group:read or group:read:own-groups)
+router.get('/:id', requirePermission('group:read', 'group:read:own-groups'), async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
+      .populate('venue', 'name address capacity')
       .populate('teachers', 'name email')
       .populate({
         path: 'students',
@@ -177,10 +177,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user has access to this group
-    if (
-      req.user.role === 'teacher' &&
-      !req.user.assignedGroups.includes(group._id)
-    ) {
+    if (!canAccessGroup(req, 'group:read', group._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this group',
@@ -201,16 +198,9 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/groups
 // @desc    Create new group
-// @access  Private (Admin only)
-router.post('/', protect, async (req, res) => {
+// @access  Private (group:write)
+router.post('/', requirePermission('group:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to create groups',
-      });
-    }
-
     const group = await Group.create(req.body);
 
     res.status(201).json({
@@ -227,16 +217,9 @@ router.post('/', protect, async (req, res) => {
 
 // @route   PUT /api/groups/:id
 // @desc    Update group
-// @access  Private (Admin only)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (group:write)
+router.put('/:id', requirePermission('group:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update groups',
-      });
-    }
-
     const group = await Group.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -267,16 +250,9 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   PATCH /api/groups/:id/full
 // @desc    Bulk update group (name, students, parents)
-// @access  Private (Admin only)
-router.patch('/:id/full', protect, async (req, res) => {
+// @access  Private (group:write)
+router.patch('/:id/full', requirePermission('group:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update groups',
-      });
-    }
-
     const { name, location, description, studentIds = [], parents = [] } = req.body;
 
     const group = await Group.findById(req.params.id);
@@ -474,16 +450,9 @@ router.patch('/:id/full', protect, async (req, res) => {
 
 // @route   GET /api/groups/:id/export-csv
 // @desc    Export group students to CSV
-// @access  Private (Admin only)
-router.get('/:id/export-csv', protect, async (req, res) => {
+// @access  Private (group:export)
+router.get('/:id/export-csv', requirePermission('group:export'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to export group data',
-      });
-    }
-
     const group = await Group.findById(req.params.id)
       .populate({
         path: 'students',
@@ -539,16 +508,9 @@ router.get('/:id/export-csv', protect, async (req, res) => {
 
 // @route   DELETE /api/groups/:id
 // @desc    Delete group
-// @access  Private (Admin only)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (group:write)
+router.delete('/:id', requirePermission('group:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete groups',
-      });
-    }
-
     const group = await Group.findById(req.params.id);
 
     if (!group) {
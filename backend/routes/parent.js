@@ -0,0 +1,418 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Parent from '../models/Parent.js';
+import Student from '../models/Student.js';
+import Group from '../models/Group.js';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import Update from '../models/Update.js';
+import Attendance from '../models/Attendance.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolveAttendanceState, saveAttendance } from '../utils/attendance.js';
+import { toCalendarDate } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Read-only portal - parents only see their own children's groups
+router.use(protect);
+router.use(requirePermission('portal:read'));
+
+// Resolve the linked Parent record, children and their groups
+router.use(async (req, res, next) => {
+  try {
+    const parent = req.user.parent ? await Parent.findById(req.user.parent) : null;
+
+    if (!parent) {
+      return res.status(403).json({
+        success: false,
+        message: 'No parent profile linked to this account',
+      });
+    }
+
+    const children = await Student.find({
+      $or: [{ _id: { $in: parent.students } }, { parent: parent._id }],
+    })
+      .select('firstName lastName age group')
+      .populate('group', 'name location');
+
+    req.parentProfile = parent;
+    req.children = children;
+    req.childIds = children.map((child) => child._id);
+    req.groupIds = [
+      ...new Set(
+        children
+          .filter((child) => child.group)
+          .map((child) => child.group._id.toString())
+      ),
+    ];
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Only allow a requested group when one of the children belongs to it
+const resolveGroupFilter = (req, res) => {
+  if (!req.query.groupId) {
+    return { $in: req.groupIds };
+  }
+  if (!req.groupIds.includes(req.query.groupId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this group',
+    });
+    return null;
+  }
+  return req.query.groupId;
+};
+
+// @route   GET /api/parent/children
+// @desc    Get the parent's children
+// @access  Private (Parent)
+router.get('/children', async (req, res) => {
+  res.json({
+    success: true,
+    data: req.children,
+  });
+});
+
+// @route   GET /api/parent/groups
+// @desc    Get groups the parent's children belong to
+// @access  Private (Parent)
+router.get('/groups', async (req, res) => {
+  try {
+    const groups = await Group.find({ _id: { $in: req.groupIds } })
+      .select('name location description teachers')
+      .populate('teachers', 'name')
+      .sort({ name: 1 });
+
+    const groupsWithSchedule = await Promise.all(
+      groups.map(async (group) => {
+        const nextSchedule = await Schedule.findOne({
+          group: group._id,
+          startAt: { $gte: new Date() },
+          status: { $nin: INACTIVE_STATUSES },
+        })
+          .sort({ startAt: 1 })
+          .limit(1);
+
+        const groupObj = group.toObject();
+        groupObj.nextTraining = nextSchedule
+          ? {
+              date: nextSchedule.date,
+              startTime: nextSchedule.startTime,
+            }
+          : null;
+        groupObj.children = req.children.filter(
+          (child) => child.group && child.group._id.equals(group._id)
+        );
+
+        return groupObj;
+      })
+    );
+
+    res.json({
+      success: true,
+      data: groupsWithSchedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/parent/schedules
+// @desc    Get schedules for the children's groups
+// @access  Private (Parent)
+router.get('/schedules', async (req, res) => {
+  try {
+    const group = resolveGroupFilter(req, res);
+    if (!group) return;
+
+    const query = { group };
+
+    if (req.query.startDate && req.query.endDate) {
+      query.date = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate),
+      };
+    }
+
+    const schedules = await Schedule.find(query)
+      .populate('group', 'name location')
+      .populate('venue', 'name address')
+      .sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: schedules,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/parent/updates
+// @desc    Get updates for the children's groups
+// @access  Private (Parent)
+router.get('/updates', async (req, res) => {
+  try {
+    const group = resolveGroupFilter(req, res);
+    if (!group) return;
+
+    const updates = await Update.find({ group })
+      .select('-comments')
+      .populate('author', 'name')
+      .populate('group', 'name location')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: updates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/parent/attendance
+// @desc    Get attendance records of the parent's children
+// @access  Private (Parent)
+router.get('/attendance', async (req, res) => {
+  try {
+    const group = resolveGroupFilter(req, res);
+    if (!group) return;
+
+    const scheduleQuery = { group };
+    if (req.query.startDate && req.query.endDate) {
+      scheduleQuery.date = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate),
+      };
+    }
+
+    const schedules = await Schedule.find(scheduleQuery).select('_id');
+
+    const records = await Attendance.find({
+      schedule: { $in: schedules.map((s) => s._id) },
+      student: { $in: req.childIds },
+    })
+      .select('-markedBy')
+      .populate('student', 'firstName lastName')
+      .populate({
+        path: 'schedule',
+        select: 'title date startTime endTime group',
+        populate: { path: 'group', select: 'name' },
+      })
+      .sort({ markedAt: -1 });
+
+    res.json({
+      success: true,
+      data: records,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// A child of the logged-in parent, by id
+const findChild = (req, studentId) => {
+  return req.children.find((child) => child._id.toString() === String(studentId));
+};
+
+// @route   GET /api/parent/absences
+// @desc    Absences reported by the parent for upcoming sessions
+// @access  Private (Parent)
+router.get('/absences', async (req, res) => {
+  try {
+    const upcoming = await Schedule.find({
+      group: { $in: req.groupIds },
+      startAt: { $gte: new Date() },
+    }).select('_id');
+
+    const absences = await Attendance.find({
+      schedule: { $in: upcoming.map((s) => s._id) },
+      student: { $in: req.childIds },
+      source: 'parent',
+    })
+      .select('-markedBy')
+      .populate('student', 'firstName lastName')
+      .populate({
+        path: 'schedule',
+        select: 'title date startTime endTime group status',
+        populate: { path: 'group', select: 'name' },
+      })
+      .sort({ markedAt: -1 });
+
+    res.json({
+      success: true,
+      data: absences,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/parent/absences
+// @desc    Report that a child will miss an upcoming session (scheduleId) or every
+//          session in a date range (startDate, endDate). Body: studentId, reasonCode, notes.
+//          Recorded as excused attendance; sessions a teacher already marked are skipped.
+// @access  Private (Parent)
+router.post('/absences', async (req, res) => {
+  try {
+    const { studentId, scheduleId, startDate, endDate, reasonCode, notes } = req.body;
+
+    const child = findChild(req, studentId);
+    if (!child) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to report absences for this student',
+      });
+    }
+
+    if (!child.group) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not in a group',
+      });
+    }
+
+    if (!scheduleId && !(startDate && endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide scheduleId or startDate and endDate',
+      });
+    }
+
+    if (scheduleId && !mongoose.isValidObjectId(scheduleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduleId',
+      });
+    }
+
+    const { state, error } = resolveAttendanceState({ status: 'excused', reasonCode, notes });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const query = {
+      group: child.group._id,
+      startAt: { $gte: new Date() },
+      status: { $nin: INACTIVE_STATUSES },
+    };
+    if (scheduleId) {
+      query._id = scheduleId;
+    } else {
+      const from = toCalendarDate(startDate);
+      const to = toCalendarDate(endDate);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid date range',
+        });
+      }
+      query.date = { $gte: from, $lte: to };
+    }
+
+    const schedules = await Schedule.find(query).sort({ startAt: 1 });
+    if (!schedules.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No upcoming sessions found for this student',
+      });
+    }
+
+    // Marks a teacher has already made are left for the teacher to change
+    const teacherMarked = await Attendance.find({
+      schedule: { $in: schedules.map((schedule) => schedule._id) },
+      student: child._id,
+      source: 'teacher',
+    }).select('schedule');
+    const markedIds = new Set(teacherMarked.map((record) => record.schedule.toString()));
+
+    const reported = [];
+    const skipped = [];
+    for (const schedule of schedules) {
+      if (markedIds.has(schedule._id.toString())) {
+        skipped.push({ schedule: schedule._id, date: schedule.date, message: 'Already marked by the teacher' });
+        continue;
+      }
+      const { attendance } = await saveAttendance({
+        schedule,
+        studentId: child._id,
+        state,
+        markedBy: req.user._id,
+        source: 'parent',
+      });
+      reported.push(attendance);
+    }
+
+    res.status(reported.length ? 201 : 200).json({
+      success: true,
+      data: reported,
+      skipped,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/parent/absences/:id
+// @desc    Withdraw a reported absence before the session starts
+// @access  Private (Parent)
+router.delete('/absences/:id', async (req, res) => {
+  try {
+    const absence = await Attendance.findById(req.params.id).populate('schedule', 'startAt');
+    if (!absence || absence.source !== 'parent' || !findChild(req, absence.student)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Absence not found',
+      });
+    }
+
+    if (!absence.schedule || absence.schedule.startAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The session has already started',
+      });
+    }
+
+    await absence.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Absence withdrawn',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
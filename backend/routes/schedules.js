@@ -1,39 +1,129 @@
 import express from 'express';
-import Schedule from '../models/Schedule.js';
-import Attendance from '../models/Attendance.js';
+import mongoose from 'mongoose';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import Attendance, { PRESENT_STATUSES } from '../models/Attendance.js';
 import Group from '../models/Group.js';
-import { protect } from '../middleware/auth.js';
+import Student from '../models/Student.js';
+import Parent from '../models/Parent.js';
+import ScheduleSeries from '../models/ScheduleSeries.js';
+import Substitution from '../models/Substitution.js';
+import User from '../models/User.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { groupScope, canAccessGroup, canAccessSchedule, hasRole } from '../utils/permissions.js';
+import {
+  SERIES_FIELDS,
+  syncSeriesOccurrences,
+  splitSeries,
+  removeOccurrences,
+  previewSeriesOccurrences,
+} from '../utils/scheduleSeries.js';
+import { toCalendarDate } from '../utils/timezone.js';
+import { findConflicts, findConflictsInRange, isValidSession } from '../utils/conflicts.js';
+import { findTeacherWarnings } from '../utils/teacherAvailability.js';
+import { checkInOpensAt, generateCheckInToken, verifyCheckInToken } from '../utils/checkIn.js';
+import {
+  attendanceStatusOf,
+  emptyStatusCounts,
+  resolveAttendanceState,
+  saveAttendance,
+  syncAttendanceChange,
+} from '../utils/attendance.js';
+import { sendScheduleChangeEmail, sendSubstituteTeacherEmail } from '../utils/emailService.js';
 
 const router = express.Router();
 
-// Estonian school holidays 2024-2026
-const ESTONIAN_HOLIDAYS = [
-  ['2024-10-21', '2024-10-27'], // I vaheaeg (autumn break)
-  ['2024-12-23', '2025-01-05'], // II vaheaeg (winter break)
-  ['2025-02-24', '2025-03-02'], // III vaheaeg (spring break)
-  ['2025-04-14', '2025-04-20'], // IV vaheaeg (Easter break)
-  ['2025-06-10', '2025-08-31'], // V vaheaeg (summer break)
-  ['2025-10-20', '2025-10-26'], // I vaheaeg 2025-2026
-  ['2025-12-22', '2026-01-04'], // II vaheaeg 2025-2026
-  ['2026-02-23', '2026-03-01'], // III vaheaeg 2025-2026
-  ['2026-04-06', '2026-04-12'], // IV vaheaeg 2025-2026
-  ['2026-06-09', '2026-08-31'], // V vaheaeg 2025-2026
-];
-
-const isHoliday = (date) => {
-  const dateStr = date.toISOString().split('T')[0];
-  return ESTONIAN_HOLIDAYS.some(([start, end]) => dateStr >= start && dateStr <= end);
+router.use(protect);
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+const FREQUENCY_INTERVALS = { weekly: 1, biweekly: 2 };
+
+// Fields a session can be created or edited with. Status and substitutes only
+// change through their own endpoints so emails and records stay consistent.
+const EDITABLE_FIELDS = ['title', 'date', 'startTime', 'endTime', 'group', 'venue', 'location', 'description'];
+
+const INVALID_SESSION_MESSAGE = 'Please provide a valid date and startTime/endTime in HH:MM format';
+
+const pickScheduleFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Series fields present in the request body. A new `date` moves the weekday.
+const pickSeriesUpdates = (body) => {
+  const updates = {};
+  SERIES_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  });
+  if (body.frequency && FREQUENCY_INTERVALS[body.frequency]) {
+    updates.interval = FREQUENCY_INTERVALS[body.frequency];
+  }
+  if (body.dayOfWeek !== undefined) {
+    updates.dayOfWeek = parseInt(body.dayOfWeek, 10);
+  } else if (body.date) {
+    updates.dayOfWeek = toCalendarDate(body.date).getUTCDay();
+  }
+  return updates;
+};
+
+// 409 with the clashing sessions - the client may resend with allowConflicts: true
+const rejectConflicts = (res, conflicts) => {
+  return res.status(409).json({
+    success: false,
+    message: `${conflicts.length} schedule conflict(s) found. Send allowConflicts: true to save anyway`,
+    conflicts,
+  });
+};
+
+// Conflicts of the occurrences a series rule generates from `from` onwards.
+// The series' own stored occurrences are ignored since they will be replaced.
+const findSeriesConflicts = async (series, from) => {
+  const fromDate = toCalendarDate(from);
+  const occurrences = (await previewSeriesOccurrences(series)).filter(
+    (occurrence) => occurrence.date >= fromDate
+  );
+  const ownIds = await Schedule.find({ series: series._id }).distinct('_id');
+  return findConflicts(occurrences, { ignoreIds: ownIds });
+};
+
+// Email the group's parents about a cancelled or moved session
+const notifyScheduleChange = async (schedule, options) => {
+  try {
+    await sendScheduleChangeEmail(schedule, options);
+  } catch (emailError) {
+    console.error('Error sending schedule change email:', emailError);
+    // Don't fail the request if email fails
+  }
 };
 
 // @route   GET /api/schedules
-// @desc    Get schedules (optionally filtered by group)
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get schedules (optionally filtered by group, date range and status)
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
   try {
     let query = {};
 
     if (req.query.groupId) {
+      if (!canAccessGroup(req, 'schedule:read', req.query.groupId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this group',
+        });
+      }
       query.group = req.query.groupId;
+    } else {
+      // Limit to assigned groups (and sessions covered as substitute) unless
+      // the user can read all schedules
+      const scope = groupScope(req, 'schedule:read');
+      if (scope) {
+        query.$or = [{ group: { $in: scope } }, { substituteTeacher: req.user._id }];
+      }
     }
 
     if (req.query.startDate && req.query.endDate) {
@@ -43,8 +133,14 @@ router.get('/', protect, async (req, res) => {
       };
     }
 
+    // Cancelled and rescheduled sessions are included unless filtered out
+    if (req.query.status) {
+      query.status = req.query.status === 'scheduled' ? { $nin: INACTIVE_STATUSES } : req.query.status;
+    }
+
     const schedules = await Schedule.find(query)
       .populate('group', 'name location')
+      .populate('venue', 'name address')
       .sort({ date: 1, startTime: 1 });
 
     res.json({
@@ -59,13 +155,211 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/schedules/conflicts
+// @desc    Report overlapping sessions (group, teacher, location) in a date range
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/conflicts', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate are required',
+      });
+    }
+
+    if (Number.isNaN(new Date(startDate).getTime()) || Number.isNaN(new Date(endDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates',
+      });
+    }
+
+    let conflicts = await findConflictsInRange(startDate, endDate);
+
+    // Teachers only see conflicts involving one of their groups
+    const scope = groupScope(req, 'schedule:read');
+    if (scope) {
+      conflicts = conflicts.filter(
+        (conflict) => scope.includes(conflict.session.group) || scope.includes(conflict.conflictsWith.group)
+      );
+    }
+
+    res.json({
+      success: true,
+      count: conflicts.length,
+      data: conflicts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/series
+// @desc    Get schedule series (optionally filtered by group)
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/series', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.groupId) {
+      if (!canAccessGroup(req, 'schedule:read', req.query.groupId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this group',
+        });
+      }
+      query.group = req.query.groupId;
+    } else {
+      const scope = groupScope(req, 'schedule:read');
+      if (scope) {
+        query.group = { $in: scope };
+      }
+    }
+
+    const series = await ScheduleSeries.find(query)
+      .populate('group', 'name location')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/series/:id
+// @desc    Get schedule series with its occurrences
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/series/:id', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const series = await ScheduleSeries.findById(req.params.id).populate('group', 'name location');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule series not found',
+      });
+    }
+
+    if (!canAccessGroup(req, 'schedule:read', series.group?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule series',
+      });
+    }
+
+    const occurrences = await Schedule.find({ series: series._id }).sort({ date: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...series.toObject(),
+        occurrences,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/schedules/series/:id
+// @desc    Update the whole series (rule, times, title, date range). Sessions before today keep
+//          their date and time so attendance history is not rewritten. Rejected on conflicts
+//          unless allowConflicts is set.
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.put('/series/:id', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
+  try {
+    const series = await ScheduleSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule series not found',
+      });
+    }
+
+    if (!canAccessGroup(req, 'schedule:write', series.group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this schedule series',
+      });
+    }
+
+    Object.assign(series, pickSeriesUpdates(req.body), { updatedAt: new Date() });
+    if (req.body.startDate) series.startDate = toCalendarDate(req.body.startDate);
+    if (req.body.endDate) series.endDate = toCalendarDate(req.body.endDate);
+
+    const validationError = series.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    const today = toCalendarDate(new Date());
+    const conflicts = await findSeriesConflicts(series, today);
+    if (conflicts.length && !req.body.allowConflicts) {
+      return rejectConflicts(res, conflicts);
+    }
+
+    await series.save();
+
+    // Upcoming occurrences outside a shortened range are removed unless they
+    // have attendance; past ones stay as they happened
+    const outOfRange = await removeOccurrences({
+      series: series._id,
+      date: { $gte: today },
+      $or: [{ date: { $lt: series.startDate } }, { date: { $gt: series.endDate } }],
+    });
+    const summary = await syncSeriesOccurrences(series, today);
+    const upcoming = await Schedule.find({ series: series._id, date: { $gte: today } });
+
+    res.json({
+      success: true,
+      data: series,
+      conflicts,
+      warnings: await findTeacherWarnings(upcoming),
+      summary: {
+        ...summary,
+        removed: summary.removed + outOfRange.removed,
+        detached: summary.detached + outOfRange.detached,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/schedules/:id
-// @desc    Get single schedule
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @desc    Get single schedule with the group's roster
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/:id', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
   try {
     const schedule = await Schedule.findById(req.params.id)
-      .populate('group', 'name location');
+      .populate({
+        path: 'group',
+        select: 'name location students',
+        populate: { path: 'students', select: 'firstName lastName' },
+      })
+      .populate('venue', 'name address capacity')
+      .populate('substituteTeacher', 'name email');
 
     if (!schedule) {
       return res.status(404).json({
@@ -74,6 +368,13 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    if (!canAccessSchedule(req, 'schedule:read', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule',
+      });
+    }
+
     res.json({
       success: true,
       data: schedule,
@@ -87,15 +388,37 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   POST /api/schedules
-// @desc    Create new schedule
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @desc    Create new schedule (rejected on conflicts unless allowConflicts is set)
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.post('/', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
   try {
-    const schedule = await Schedule.create(req.body);
+    if (!canAccessGroup(req, 'schedule:write', req.body.group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create schedules for this group',
+      });
+    }
+
+    const fields = pickScheduleFields(req.body);
+    if (!isValidSession(fields)) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_SESSION_MESSAGE,
+      });
+    }
+
+    const conflicts = await findConflicts([fields]);
+    if (conflicts.length && !req.body.allowConflicts) {
+      return rejectConflicts(res, conflicts);
+    }
+
+    const schedule = await Schedule.create(fields);
 
     res.status(201).json({
       success: true,
       data: schedule,
+      conflicts,
+      warnings: await findTeacherWarnings([schedule]),
     });
   } catch (error) {
     res.status(500).json({
@@ -106,28 +429,41 @@ router.post('/', protect, async (req, res) => {
 });
 
 // @route   POST /api/schedules/generate-bulk
-// @desc    Generate bulk schedules for a group (full year)
-// @access  Private (Admin only)
-router.post('/generate-bulk', protect, async (req, res) => {
+// @desc    Generate schedule series for a group from weekday/time-slot rules.
+//          Body: groupId, startDate, endDate, rules [{ dayOfWeek, startTime, endTime }],
+//          frequency (weekly | biweekly), excludedDates, dryRun. A single
+//          dayOfWeek/startTime/endTime is still accepted instead of rules.
+// @access  Private (schedule:generate)
+router.post('/generate-bulk', requirePermission('schedule:generate'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to generate bulk schedules',
-      });
-    }
-
     const {
       groupId,
       startDate,
       endDate,
-      dayOfWeek, // 0 = Sunday, 1 = Monday, etc.
-      startTime,
-      endTime,
       location,
       title,
+      frequency = 'weekly',
+      excludedDates = [],
+      dryRun = false,
     } = req.body;
 
+    const rules = Array.isArray(req.body.rules) && req.body.rules.length
+      ? req.body.rules
+      : [
+          {
+            dayOfWeek: req.body.dayOfWeek, // 0 = Sunday, 1 = Monday, etc.
+            startTime: req.body.startTime,
+            endTime: req.body.endTime,
+          },
+        ];
+
+    if (!canAccessGroup(req, 'schedule:write', groupId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create schedules for this group',
+      });
+    }
+
     // Validate group exists
     const group = await Group.findById(groupId);
     if (!group) {
@@ -137,40 +473,80 @@ router.post('/generate-bulk', protect, async (req, res) => {
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const schedulesToCreate = [];
+    // One series per rule, so each weekday/time slot can later be edited on its own.
+    // Every rule is validated before any series is saved.
+    const seriesList = [];
+    for (const [index, rule] of rules.entries()) {
+      const ruleFrequency = rule.frequency || frequency;
+      if (!FREQUENCY_INTERVALS[ruleFrequency]) {
+        return res.status(400).json({
+          success: false,
+          message: `Rule ${index + 1}: frequency must be one of: ${Object.keys(FREQUENCY_INTERVALS).join(', ')}`,
+        });
+      }
 
-    // Find first occurrence of dayOfWeek
-    let currentDate = new Date(start);
-    while (currentDate.getDay() !== parseInt(dayOfWeek)) {
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
+      const series = new ScheduleSeries({
+        group: groupId,
+        title: rule.title || title || `${group.name} - Trenn`,
+        dayOfWeek: parseInt(rule.dayOfWeek, 10),
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        interval: FREQUENCY_INTERVALS[ruleFrequency],
+        startDate: toCalendarDate(startDate),
+        endDate: toCalendarDate(endDate),
+        excludedDates: [].concat(excludedDates).map((date) => toCalendarDate(date)),
+        location: rule.location || location || group.location,
+        venue: rule.venue || req.body.venue || group.venue,
+        createdBy: req.user._id,
+      });
 
-    // Generate weekly schedules
-    while (currentDate <= end) {
-      // Skip holidays
-      if (!isHoliday(currentDate)) {
-        schedulesToCreate.push({
-          group: groupId,
-          title: title || `${group.name} - Trenn`,
-          date: new Date(currentDate),
-          startTime,
-          endTime,
-          location: location || group.location,
+      const validationError = series.validateSync();
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: `Rule ${index + 1}: ${validationError.message}`,
         });
       }
+      seriesList.push(series);
+    }
+
+    const byDateAndTime = (a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime);
+    const previews = await Promise.all(seriesList.map((series) => previewSeriesOccurrences(series)));
+    const sessions = previews.flat().sort(byDateAndTime);
+    const conflicts = await findConflicts(sessions);
+    const warnings = await findTeacherWarnings(sessions);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        data: sessions,
+        conflicts,
+        warnings,
+        message: `${sessions.length} trenni luuakse`,
+      });
+    }
+
+    if (conflicts.length && !req.body.allowConflicts) {
+      return rejectConflicts(res, conflicts);
+    }
 
-      // Move to next week
-      currentDate.setDate(currentDate.getDate() + 7);
+    // Sessions are generated from series so they can later be edited together
+    for (const series of seriesList) {
+      await series.save();
+      await syncSeriesOccurrences(series);
     }
 
-    // Bulk insert
-    const createdSchedules = await Schedule.insertMany(schedulesToCreate);
+    const createdSchedules = await Schedule.find({
+      series: { $in: seriesList.map((series) => series._id) },
+    }).sort({ date: 1, startTime: 1 });
 
     res.status(201).json({
       success: true,
       data: createdSchedules,
+      series: seriesList,
+      conflicts,
+      warnings,
       message: `${createdSchedules.length} trenni loodud`,
     });
   } catch (error) {
@@ -182,29 +558,102 @@ router.post('/generate-bulk', protect, async (req, res) => {
 });
 
 // @route   PUT /api/schedules/:id
-// @desc    Update schedule
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @desc    Update schedule (scope: this | following | all for series occurrences)
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.put('/:id', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
   try {
-    const schedule = await Schedule.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const existing = await Schedule.findById(req.params.id);
 
-    if (!schedule) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Schedule not found',
       });
     }
 
+    // Both the current group and a group it is being moved to must be accessible
+    if (
+      !canAccessGroup(req, 'schedule:write', existing.group) ||
+      (req.body.group && !canAccessGroup(req, 'schedule:write', req.body.group))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this schedule',
+      });
+    }
+
+    const scope = req.body.scope || req.query.scope || 'this';
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be one of: ${EDIT_SCOPES.join(', ')}`,
+      });
+    }
+
+    // Single session - an occurrence edited on its own becomes a series exception
+    if (scope === 'this' || !existing.series) {
+      const updates = pickScheduleFields(req.body);
+      if (!isValidSession({ ...existing.toObject(), ...updates })) {
+        return res.status(400).json({
+          success: false,
+          message: INVALID_SESSION_MESSAGE,
+        });
+      }
+
+      const conflicts = await findConflicts([{ ...existing.toObject(), ...updates }]);
+      if (conflicts.length && !req.body.allowConflicts) {
+        return rejectConflicts(res, conflicts);
+      }
+
+      // Saved through the document so startAt/endAt are recalculated
+      existing.set({
+        ...updates,
+        seriesException: Boolean(existing.series),
+        updatedAt: new Date(),
+      });
+      await existing.save();
+
+      return res.json({
+        success: true,
+        data: existing,
+        conflicts,
+        warnings: await findTeacherWarnings([existing]),
+      });
+    }
+
+    const series = await ScheduleSeries.findById(existing.series);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule series not found',
+      });
+    }
+
+    const updates = pickSeriesUpdates(req.body);
+    let result;
+
+    if (scope === 'following') {
+      result = await splitSeries(series, existing, updates, req.user._id);
+    } else {
+      Object.assign(series, updates, { updatedAt: new Date() });
+      const conflicts = await findSeriesConflicts(series, new Date());
+      if (conflicts.length && !req.body.allowConflicts) {
+        return rejectConflicts(res, conflicts);
+      }
+      await series.save();
+      // Past occurrences keep their date and time
+      result = { series, conflicts, summary: await syncSeriesOccurrences(series, new Date()) };
+    }
+
+    // The edited occurrence may have moved to another day in the same week
+    const schedule = await Schedule.findById(req.params.id);
+
     res.json({
       success: true,
       data: schedule,
+      series: result.series,
+      summary: result.summary,
+      conflicts: result.conflicts || [],
     });
   } catch (error) {
     res.status(500).json({
@@ -215,9 +664,9 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // @route   DELETE /api/schedules/:id
-// @desc    Delete schedule
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @desc    Delete schedule (?scope=this | following | all for series occurrences)
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.delete('/:id', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
   try {
     const schedule = await Schedule.findById(req.params.id);
 
@@ -228,14 +677,61 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Also delete associated attendance records
-    await Attendance.deleteMany({ schedule: schedule._id });
+    if (!canAccessGroup(req, 'schedule:write', schedule.group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this schedule',
+      });
+    }
+
+    const scope = req.query.scope || 'this';
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be one of: ${EDIT_SCOPES.join(', ')}`,
+      });
+    }
+
+    const series = schedule.series ? await ScheduleSeries.findById(schedule.series) : null;
+
+    if (scope === 'this' || !series) {
+      // Also delete associated attendance records
+      await Attendance.deleteMany({ schedule: schedule._id });
+
+      await schedule.deleteOne();
+
+      // Keep the series from regenerating this date
+      if (series) {
+        series.excludedDates.push(toCalendarDate(schedule.date));
+        await series.save();
+      }
+
+      return res.json({
+        success: true,
+        message: 'Schedule deleted successfully',
+      });
+    }
+
+    // Series-wide deletes keep sessions that already have attendance
+    let summary;
+    if (scope === 'following') {
+      const pivot = toCalendarDate(schedule.date);
+      summary = await removeOccurrences({ series: series._id, date: { $gte: pivot } });
+      series.endDate = new Date(pivot.getTime() - 24 * 60 * 60 * 1000);
+      series.updatedAt = new Date();
+      await series.save();
+    } else {
+      summary = await removeOccurrences({ series: series._id });
+    }
 
-    await schedule.deleteOne();
+    if ((await Schedule.countDocuments({ series: series._id })) === 0) {
+      await series.deleteOne();
+    }
 
     res.json({
       success: true,
-      message: 'Schedule deleted successfully',
+      message: 'Schedules deleted successfully',
+      summary,
     });
   } catch (error) {
     res.status(500).json({
@@ -245,14 +741,14 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/schedules/:id/attendance
-// @desc    Mark attendance for a schedule
-// @access  Private
-router.post('/:id/attendance', protect, async (req, res) => {
+// @route   POST /api/schedules/:id/cancel
+// @desc    Cancel a session, keeping it visible. Body: reason, notifyParents (default true)
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.post('/:id/cancel', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
   try {
-    const { studentId, present, notes } = req.body;
+    const { reason, notifyParents = true } = req.body;
 
-    const schedule = await Schedule.findById(req.params.id);
+    const schedule = await Schedule.findById(req.params.id).populate('group', 'name');
     if (!schedule) {
       return res.status(404).json({
         success: false,
@@ -260,21 +756,38 @@ router.post('/:id/attendance', protect, async (req, res) => {
       });
     }
 
-    // Upsert attendance
-    const attendance = await Attendance.findOneAndUpdate(
-      { schedule: req.params.id, student: studentId },
-      {
-        present,
-        notes,
-        markedBy: req.user._id,
-        markedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    ).populate('student', 'firstName lastName');
+    if (!canAccessGroup(req, 'schedule:write', schedule.group?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this schedule',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Session is already ${schedule.status}`,
+      });
+    }
+
+    Object.assign(schedule, {
+      status: 'cancelled',
+      statusReason: reason,
+      statusChangedAt: new Date(),
+      statusChangedBy: req.user._id,
+      // Series edits must not bring the session back
+      seriesException: Boolean(schedule.series),
+      updatedAt: new Date(),
+    });
+    await schedule.save();
+
+    if (notifyParents) {
+      await notifyScheduleChange(schedule, { reason });
+    }
 
     res.json({
       success: true,
-      data: attendance,
+      data: schedule,
     });
   } catch (error) {
     res.status(500).json({
@@ -284,52 +797,1002 @@ router.post('/:id/attendance', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/schedules/group/:groupId/attendance
-// @desc    Get attendance summary for a group
-// @access  Private
-router.get('/group/:groupId/attendance', protect, async (req, res) => {
+// @route   POST /api/schedules/:id/reschedule
+// @desc    Move a session to a new date/time. The original is kept with status
+//          rescheduled and linked to the replacement. Body: date, startTime,
+//          endTime, location, venue, reason, notifyParents (default true), allowConflicts
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.post('/:id/reschedule', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { date, startTime, endTime, location, reason, notifyParents = true } = req.body;
 
-    // Get all schedules for this group in date range
-    const query = { group: req.params.groupId };
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new date',
+      });
     }
 
-    const schedules = await Schedule.find(query).sort({ date: 1 });
-    const scheduleIds = schedules.map((s) => s._id);
-
-    // Get all attendance records
-    const attendanceRecords = await Attendance.find({
-      schedule: { $in: scheduleIds },
+    const original = await Schedule.findById(req.params.id).populate('group', 'name');
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (!canAccessGroup(req, 'schedule:write', original.group?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this schedule',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(original.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Session is already ${original.status}`,
+      });
+    }
+
+    const replacement = new Schedule({
+      group: original.group._id,
+      title: original.title,
+      description: original.description,
+      date: new Date(date),
+      startTime: startTime || original.startTime,
+      endTime: endTime || original.endTime,
+      location: location || original.location,
+      venue: req.body.venue || original.venue,
+      rescheduledFrom: original._id,
+    });
+
+    if (!isValidSession(replacement)) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_SESSION_MESSAGE,
+      });
+    }
+
+    // The original slot is freed by the move, so it can't conflict
+    const conflicts = await findConflicts([replacement], { ignoreIds: [original._id] });
+    if (conflicts.length && !req.body.allowConflicts) {
+      return rejectConflicts(res, conflicts);
+    }
+
+    await replacement.save();
+
+    Object.assign(original, {
+      status: 'rescheduled',
+      statusReason: reason,
+      statusChangedAt: new Date(),
+      statusChangedBy: req.user._id,
+      rescheduledTo: replacement._id,
+      seriesException: Boolean(original.series),
+      updatedAt: new Date(),
+    });
+    await original.save();
+
+    if (notifyParents) {
+      await notifyScheduleChange(original, { reason, newSchedule: replacement });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: replacement,
+      original,
+      conflicts,
+      warnings: await findTeacherWarnings([replacement]),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/schedules/:id/substitute
+// @desc    Assign a substitute teacher to a session. Body: teacherId,
+//          replacedTeacherId, reason, notifyParents (default false). Rejected when the
+//          substitute is busy at the same time unless allowConflicts is set.
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.put('/:id/substitute', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
+  try {
+    const { teacherId, replacedTeacherId, reason, notifyParents = false } = req.body;
+
+    if (!teacherId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide teacherId',
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id).populate('group', 'name teachers');
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    // The group may have been deleted since the session was created
+    if (!schedule.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!canAccessGroup(req, 'schedule:write', schedule.group._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this schedule',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign a substitute to a ${schedule.status} session`,
+      });
+    }
+
+    const substitute = await User.findById(teacherId).select('name email role roles assignedGroups');
+    if (!substitute || !hasRole(substitute, 'teacher', 'admin')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Substitute must be a teacher',
+      });
+    }
+
+    // The substitute can't be teaching their own groups or covering another
+    // session at the same time
+    const ownGroupIds = [
+      ...(substitute.assignedGroups || []),
+      ...(await Group.find({ teachers: substitute._id }).distinct('_id')),
+    ];
+    const clashing = await Schedule.find({
+      _id: { $ne: schedule._id },
+      status: { $nin: INACTIVE_STATUSES },
+      startAt: { $lt: schedule.endAt },
+      endAt: { $gt: schedule.startAt },
+      $or: [
+        { group: { $in: ownGroupIds }, substituteFor: { $ne: substitute._id } },
+        { substituteTeacher: substitute._id },
+      ],
+    }).populate('group', 'name');
+    const conflicts = clashing.map((other) => ({
+      session: { _id: schedule._id, title: schedule.title, group: schedule.group._id, date: schedule.date },
+      conflictsWith: {
+        _id: other._id,
+        title: other.title,
+        group: other.group?._id,
+        groupName: other.group?.name,
+        date: other.date,
+        startTime: other.startTime,
+        endTime: other.endTime,
+      },
+      reasons: [{ type: 'teacher', teacher: substitute._id.toString(), teacherName: substitute.name }],
+    }));
+    if (conflicts.length && !req.body.allowConflicts) {
+      return rejectConflicts(res, conflicts);
+    }
+
+    // Default to the group's only regular teacher
+    const replacedTeacher =
+      replacedTeacherId || (schedule.group.teachers.length === 1 ? schedule.group.teachers[0] : undefined);
+
+    // The previous substitute's record stays for payroll history
+    await Substitution.updateMany(
+      { schedule: schedule._id, removedAt: null },
+      { removedAt: new Date(), removedBy: req.user._id }
+    );
+
+    // Saved first so startAt/endAt are set for the payroll record
+    schedule.substituteTeacher = substitute._id;
+    schedule.substituteFor = replacedTeacher;
+    schedule.updatedAt = new Date();
+    await schedule.save();
+
+    const substitution = await Substitution.create({
+      schedule: schedule._id,
+      group: schedule.group._id,
+      substitute: substitute._id,
+      replacedTeacher,
+      reason,
+      startAt: schedule.startAt,
+      endAt: schedule.endAt,
+      durationMinutes: Math.round((schedule.endAt - schedule.startAt) / 60000),
+      assignedBy: req.user._id,
+    });
+
+    if (notifyParents) {
+      try {
+        await sendSubstituteTeacherEmail(schedule, substitute);
+      } catch (emailError) {
+        console.error('Error sending substitute teacher email:', emailError);
+        // Don't fail the request if email fails
+      }
+    }
+
+    res.json({
+      success: true,
+      data: schedule,
+      substitution,
+      conflicts,
+      warnings: await findTeacherWarnings([schedule]),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/schedules/:id/substitute
+// @desc    Remove the substitute teacher from a session
+// @access  Private (schedule:write or schedule:write:own-groups)
+router.delete('/:id/substitute', requirePermission('schedule:write', 'schedule:write:own-groups'), async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (!canAccessGroup(req, 'schedule:write', schedule.group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this schedule',
+      });
+    }
+
+    await Substitution.updateMany(
+      { schedule: schedule._id, removedAt: null },
+      { removedAt: new Date(), removedBy: req.user._id }
+    );
+
+    schedule.substituteTeacher = undefined;
+    schedule.substituteFor = undefined;
+    schedule.updatedAt = new Date();
+    await schedule.save();
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/schedules/:id/attendance
+// @desc    Mark attendance for a schedule. Body: studentId, status (or legacy present), reasonCode, notes
+// @access  Private (attendance:mark or attendance:mark:own-groups)
+router.post('/:id/attendance', requirePermission('attendance:mark', 'attendance:mark:own-groups'), async (req, res) => {
+  try {
+    const { studentId } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId',
+      });
+    }
+
+    const { state, error } = resolveAttendanceState(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (!canAccessSchedule(req, 'attendance:mark', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to mark attendance for this group',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark attendance for a ${schedule.status} session`,
+      });
+    }
+
+    // Only students of the schedule's group can be marked
+    const student = await Student.findOne({ _id: studentId, group: schedule.group });
+    if (!student) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student does not belong to this group',
+      });
+    }
+
+    // Upsert attendance
+    const { attendance, keptExcused } = await saveAttendance({
+      schedule,
+      studentId,
+      state,
+      markedBy: req.user._id,
+    });
+    await attendance.populate('student', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: attendance,
+      keptExcused,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/:id/roster
+// @desc    Every student of the schedule's group with their attendance for the session
+// @access  Private (attendance:read or attendance:read:own-groups)
+router.get('/:id/roster', requirePermission('attendance:read', 'attendance:read:own-groups'), async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id).populate('group', 'name');
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    // The group may have been deleted since the session was created
+    if (!schedule.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!canAccessSchedule(req, 'attendance:read', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule',
+      });
+    }
+
+    const students = await Student.find({ group: schedule.group._id })
+      .select('firstName lastName age')
+      .sort({ lastName: 1, firstName: 1 });
+    const records = await Attendance.find({ schedule: schedule._id }).populate('markedBy', 'name');
+    const recordsByStudent = new Map(records.map((record) => [record.student.toString(), record]));
+
+    const roster = students.map((student) => ({
+      student,
+      inGroup: true,
+      attendance: recordsByStudent.get(student._id.toString()) || null,
+    }));
+
+    // Students marked for this session who have since left the group
+    const rosterIds = new Set(students.map((student) => student._id.toString()));
+    const formerIds = records
+      .map((record) => record.student.toString())
+      .filter((studentId) => !rosterIds.has(studentId));
+    if (formerIds.length) {
+      const formerStudents = await Student.find({ _id: { $in: formerIds } }).select('firstName lastName age');
+      formerStudents.forEach((student) => {
+        roster.push({
+          student,
+          inGroup: false,
+          attendance: recordsByStudent.get(student._id.toString()),
+        });
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        roster,
+        summary: {
+          total: students.length,
+          marked: roster.filter((entry) => entry.inGroup && entry.attendance).length,
+          present: roster.filter((entry) => entry.inGroup && entry.attendance?.present).length,
+          byStatus: roster
+            .filter((entry) => entry.inGroup && entry.attendance)
+            .reduce((counts, entry) => {
+              counts[attendanceStatusOf(entry.attendance)] += 1;
+              return counts;
+            }, emptyStatusCounts()),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/:id/expected
+// @desc    Pre-session summary: who is expected and who has reported an absence
+// @access  Private (attendance:read or attendance:read:own-groups)
+router.get('/:id/expected', requirePermission('attendance:read', 'attendance:read:own-groups'), async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id).populate('group', 'name');
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    // The group may have been deleted since the session was created
+    if (!schedule.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!canAccessSchedule(req, 'attendance:read', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule',
+      });
+    }
+
+    const students = await Student.find({ group: schedule.group._id })
+      .select('firstName lastName age')
+      .sort({ lastName: 1, firstName: 1 });
+    const records = await Attendance.find({
+      schedule: schedule._id,
+      student: { $in: students.map((student) => student._id) },
+    });
+    const recordsByStudent = new Map(records.map((record) => [record.student.toString(), record]));
+
+    const expected = [];
+    const notComing = [];
+    students.forEach((student) => {
+      const record = recordsByStudent.get(student._id.toString());
+      if (record && !PRESENT_STATUSES.includes(attendanceStatusOf(record))) {
+        notComing.push({
+          student,
+          status: attendanceStatusOf(record),
+          reasonCode: record.reasonCode,
+          notes: record.notes,
+          source: record.source,
+          reportedAt: record.markedAt,
+        });
+      } else {
+        expected.push(student);
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        expected,
+        notComing,
+        summary: {
+          total: students.length,
+          expected: expected.length,
+          notComing: notComing.length,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/schedules/:id/attendance/bulk
+// @desc    Mark attendance for the whole session. Body: records [{ studentId, status, reasonCode, notes }].
+//          Valid entries are saved even if others fail; results are reported per student.
+// @access  Private (attendance:mark or attendance:mark:own-groups)
+router.post('/:id/attendance/bulk', requirePermission('attendance:mark', 'attendance:mark:own-groups'), async (req, res) => {
+  try {
+    const { records } = req.body;
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide records',
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (!canAccessSchedule(req, 'attendance:mark', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to mark attendance for this group',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark attendance for a ${schedule.status} session`,
+      });
+    }
+
+    // Only students of the schedule's group can be marked
+    const validIds = records
+      .map((record) => record.studentId)
+      .filter((studentId) => mongoose.isValidObjectId(studentId));
+    const groupStudents = await Student.find({ _id: { $in: validIds }, group: schedule.group }).select('_id');
+    const groupStudentIds = new Set(groupStudents.map((student) => student._id.toString()));
+
+    const seen = new Set();
+    const results = [];
+    for (const record of records) {
+      const studentId = record.studentId ? String(record.studentId) : null;
+      const fail = (message) => results.push({ studentId, success: false, message });
+
+      if (!studentId) {
+        fail('Please provide studentId');
+        continue;
+      }
+      if (seen.has(studentId)) {
+        fail('Duplicate entry for this student');
+        continue;
+      }
+      seen.add(studentId);
+      if (!groupStudentIds.has(studentId)) {
+        fail('Student does not belong to this group');
+        continue;
+      }
+
+      const { state, error } = resolveAttendanceState(record);
+      if (error) {
+        fail(error);
+        continue;
+      }
+
+      try {
+        const { attendance, keptExcused } = await saveAttendance({
+          schedule,
+          studentId,
+          state,
+          markedBy: req.user._id,
+        });
+        results.push({ studentId, success: true, data: attendance, keptExcused });
+      } catch (saveError) {
+        fail(saveError.message);
+      }
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+
+    res.json({
+      success: failed === 0,
+      data: results,
+      summary: {
+        saved: results.length - failed,
+        failed,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/:id/check-in-token
+// @desc    Signed token for the session's self check-in QR code, valid until the session ends
+// @access  Private (attendance:mark or attendance:mark:own-groups)
+router.get('/:id/check-in-token', requirePermission('attendance:mark', 'attendance:mark:own-groups'), async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (!canAccessSchedule(req, 'attendance:mark', schedule)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to mark attendance for this group',
+      });
+    }
+
+    if (INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in to a ${schedule.status} session`,
+      });
+    }
+
+    if (schedule.endAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The session has already ended',
+      });
+    }
+
+    const token = generateCheckInToken(schedule);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        checkInUrl: `${process.env.FRONTEND_URL || 'http://localhost:5174'}/check-in?token=${token}`,
+        opensAt: checkInOpensAt(schedule),
+        expiresAt: schedule.endAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/schedules/check-in
+// @desc    Check in to a session with its QR code token. Body: token, studentId (required when
+//          the account can check in more than one child). Teachers can override the record
+//          afterwards through the attendance endpoints.
+// @access  Private (attendance:check-in)
+router.post('/check-in', requirePermission('attendance:check-in'), async (req, res) => {
+  try {
+    const { token, studentId } = req.body;
+
+    const payload = token ? verifyCheckInToken(token) : null;
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in code is invalid or has expired',
+      });
+    }
+
+    const schedule = await Schedule.findById(payload.scheduleId);
+    if (!schedule || schedule.startAt?.getTime() !== payload.startAt || INACTIVE_STATUSES.includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in code is no longer valid for this session',
+      });
+    }
+
+    const now = new Date();
+    if (now < checkInOpensAt(schedule) || now > schedule.endAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is not open for this session',
+      });
+    }
+
+    // The account's own student record and, for parents, their children
+    const owned = req.user.student ? [{ _id: req.user.student }] : [];
+    const parent = req.user.parent ? await Parent.findById(req.user.parent) : null;
+    if (parent) {
+      owned.push({ _id: { $in: parent.students } }, { parent: parent._id });
+    }
+    const candidates = owned.length
+      ? await Student.find({ group: schedule.group, $or: owned }).select('firstName lastName')
+      : [];
+
+    if (!studentId && candidates.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId',
+      });
+    }
+
+    const student = studentId
+      ? candidates.find((candidate) => candidate._id.toString() === String(studentId))
+      : candidates[0];
+    if (!student) {
+      return res.status(403).json({
+        success: false,
+        message: 'No student of this session can be checked in from this account',
+      });
+    }
+
+    // A teacher's mark or an earlier check-in stays as it is
+    const existing = await Attendance.findOne({ schedule: schedule._id, student: student._id });
+    if (existing && ['teacher', 'check-in'].includes(existing.source)) {
+      return res.json({
+        success: true,
+        data: existing,
+        alreadyMarked: true,
+      });
+    }
+
+    const { attendance } = await saveAttendance({
+      schedule,
+      studentId: student._id,
+      state: { status: 'present', present: true },
+      markedBy: req.user._id,
+      source: 'check-in',
+    });
+    await attendance.populate('student', 'firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      data: attendance,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Largest batch an offline client may push at once
+const MAX_SYNC_CHANGES = 500;
+
+// @route   POST /api/schedules/attendance/sync
+// @desc    Push attendance marked offline. Body: changes [{ scheduleId, studentId, status,
+//          reasonCode, notes, markedAt, baseVersion }] where markedAt is when the mark was made
+//          on the device and baseVersion the record version the device last saw (0 if none).
+//          Returns a per-change report with conflicts and the canonical records of the sessions.
+// @access  Private (attendance:mark or attendance:mark:own-groups)
+router.post('/attendance/sync', requirePermission('attendance:mark', 'attendance:mark:own-groups'), async (req, res) => {
+  try {
+    const { changes } = req.body;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide changes',
+      });
+    }
+
+    if (changes.length > MAX_SYNC_CHANGES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_SYNC_CHANGES} changes can be synced at once`,
+      });
+    }
+
+    const now = new Date();
+    const results = [];
+    const fail = (change, message) => {
+      results.push({
+        scheduleId: change.scheduleId ? String(change.scheduleId) : null,
+        studentId: change.studentId ? String(change.studentId) : null,
+        outcome: 'error',
+        message,
+      });
+    };
+
+    // Only the latest change per student and session is applied
+    const latest = new Map();
+    for (const change of changes) {
+      if (!mongoose.isValidObjectId(change.scheduleId) || !mongoose.isValidObjectId(change.studentId)) {
+        fail(change, 'Please provide valid scheduleId and studentId');
+        continue;
+      }
+      // Device clocks can run ahead - a mark is never later than its upload
+      const markedAt = change.markedAt ? new Date(change.markedAt) : now;
+      if (Number.isNaN(markedAt.getTime())) {
+        fail(change, 'Invalid markedAt');
+        continue;
+      }
+      const entry = { ...change, markedAt: markedAt > now ? now : markedAt };
+      const key = `${change.scheduleId}:${change.studentId}`;
+      const previous = latest.get(key);
+      const superseded = previous && previous.markedAt > entry.markedAt ? entry : previous;
+      if (superseded) {
+        results.push({
+          scheduleId: String(superseded.scheduleId),
+          studentId: String(superseded.studentId),
+          outcome: 'superseded',
+        });
+      }
+      if (superseded !== entry) {
+        latest.set(key, entry);
+      }
+    }
+
+    const entries = [...latest.values()];
+    const scheduleIds = [...new Set(entries.map((entry) => String(entry.scheduleId)))];
+    const schedules = await Schedule.find({ _id: { $in: scheduleIds } });
+    const schedulesById = new Map(schedules.map((schedule) => [schedule._id.toString(), schedule]));
+
+    const groupIds = [...new Set(schedules.map((schedule) => schedule.group.toString()))];
+    const students = await Student.find({
+      _id: { $in: entries.map((entry) => entry.studentId) },
+      group: { $in: groupIds },
+    }).select('group');
+    const studentGroups = new Map(students.map((student) => [student._id.toString(), student.group.toString()]));
+
+    const touchedIds = new Set();
+    for (const entry of entries) {
+      const scheduleId = String(entry.scheduleId);
+      const studentId = String(entry.studentId);
+      const schedule = schedulesById.get(scheduleId);
+
+      if (!schedule) {
+        fail(entry, 'Schedule not found');
+        continue;
+      }
+      if (!canAccessSchedule(req, 'attendance:mark', schedule)) {
+        fail(entry, 'Not authorized to mark attendance for this group');
+        continue;
+      }
+      if (INACTIVE_STATUSES.includes(schedule.status)) {
+        fail(entry, `Cannot mark attendance for a ${schedule.status} session`);
+        continue;
+      }
+      if (studentGroups.get(studentId) !== schedule.group.toString()) {
+        fail(entry, 'Student does not belong to this group');
+        continue;
+      }
+
+      const { state, error } = resolveAttendanceState(entry);
+      if (error) {
+        fail(entry, error);
+        continue;
+      }
+
+      try {
+        const result = await syncAttendanceChange({
+          schedule,
+          studentId,
+          state,
+          markedBy: req.user._id,
+          markedAt: entry.markedAt,
+          baseVersion: Number(entry.baseVersion) || 0,
+        });
+        results.push({
+          scheduleId,
+          studentId,
+          outcome: result.outcome,
+          resolution: result.resolution,
+          client: result.outcome === 'conflict' ? state : undefined,
+          server: result.outcome === 'conflict' ? result.previous || result.attendance : undefined,
+        });
+        touchedIds.add(scheduleId);
+      } catch (saveError) {
+        fail(entry, saveError.message);
+      }
+    }
+
+    // Canonical state of every session the batch touched
+    const records = await Attendance.find({ schedule: { $in: [...touchedIds] } }).sort({ schedule: 1 });
+    const count = (outcome) => results.filter((result) => result.outcome === outcome).length;
+
+    res.json({
+      success: count('error') === 0,
+      data: {
+        results,
+        conflicts: results.filter((result) => result.outcome === 'conflict'),
+        records,
+      },
+      summary: {
+        applied: count('applied'),
+        unchanged: count('unchanged'),
+        conflicts: count('conflict'),
+        keptExcused: count('kept-excused'),
+        superseded: count('superseded'),
+        failed: count('error'),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/schedules/group/:groupId/attendance
+// @desc    Get attendance summary for a group
+// @access  Private (attendance:read or attendance:read:own-groups)
+router.get('/group/:groupId/attendance', requirePermission('attendance:read', 'attendance:read:own-groups'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!canAccessGroup(req, 'attendance:read', req.params.groupId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this group',
+      });
+    }
+
+    // Get all students in group
+    const group = await Group.findById(req.params.groupId).populate('students');
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    // Get all schedules for this group in date range
+    const query = { group: req.params.groupId };
+    if (startDate && endDate) {
+      query.date = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      };
+    }
+
+    const schedules = await Schedule.find(query).sort({ date: 1 });
+    const scheduleIds = schedules.map((s) => s._id);
+
+    // Get all attendance records
+    const attendanceRecords = await Attendance.find({
+      schedule: { $in: scheduleIds },
     })
       .populate('student', 'firstName lastName')
       .populate('schedule', 'date');
 
-    // Get all students in group
-    const group = await Group.findById(req.params.groupId).populate('students');
+    // Cancelled and rescheduled sessions are counted separately from held lessons
+    const heldIds = new Set(
+      schedules
+        .filter((schedule) => !INACTIVE_STATUSES.includes(schedule.status))
+        .map((schedule) => schedule._id.toString())
+    );
+    const summary = {
+      totalLessons: heldIds.size,
+      cancelledLessons: schedules.filter((schedule) => schedule.status === 'cancelled').length,
+      rescheduledLessons: schedules.filter((schedule) => schedule.status === 'rescheduled').length,
+      byStatus: emptyStatusCounts(),
+    };
 
     // Build attendance matrix
     const attendanceByStudent = {};
     group.students.forEach((student) => {
       attendanceByStudent[student._id] = {
         student,
-        totalLessons: schedules.length,
+        totalLessons: summary.totalLessons,
+        cancelledLessons: summary.cancelledLessons,
         attended: 0,
+        byStatus: emptyStatusCounts(),
         records: [],
       };
     });
 
     attendanceRecords.forEach((record) => {
+      // Records of deleted students or sessions have nothing to attach to
+      if (!record.student || !record.schedule) {
+        return;
+      }
       const studentId = record.student._id.toString();
       if (attendanceByStudent[studentId]) {
         attendanceByStudent[studentId].records.push(record);
-        if (record.present) {
-          attendanceByStudent[studentId].attended += 1;
+        if (heldIds.has(record.schedule._id.toString())) {
+          const status = attendanceStatusOf(record);
+          attendanceByStudent[studentId].byStatus[status] += 1;
+          summary.byStatus[status] += 1;
+          if (record.present) {
+            attendanceByStudent[studentId].attended += 1;
+          }
         }
       }
     });
@@ -338,6 +1801,7 @@ router.get('/group/:groupId/attendance', protect, async (req, res) => {
       success: true,
       data: {
         schedules,
+        summary,
         attendanceByStudent: Object.values(attendanceByStudent),
       },
     });
@@ -2,10 +2,13 @@ import express from 'express';
 import Student from '../models/Student.js';
 import Group from '../models/Group.js';
 import Parent from '../models/Parent.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { groupScope, canAccessGroup } from '../utils/permissions.js';
 
 const router = express.Router();
 
+router.use(protect);
+
 const ensureParentInGroup = async (groupId, parentId) => {
   if (!groupId || !parentId) {
     return;
@@ -34,18 +37,25 @@ const removeParentFromGroupIfUnused = async (groupId, parentId) => {
 
 // @route   GET /api/students
 // @desc    Get all students (with optional group filter)
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private (student:read or student:read:own-groups)
+router.get('/', requirePermission('student:read', 'student:read:own-groups'), async (req, res) => {
   try {
     let query = {};
 
-    // If user is a teacher, only show students from their assigned groups
-    if (req.user.role === 'teacher') {
-      query.group = { $in: req.user.assignedGroups };
+    // Limit to students of assigned groups unless the user can read all students
+    const scope = groupScope(req, 'student:read');
+    if (scope) {
+      query.group = { $in: scope };
     }
 
     // Filter by group if provided
     if (req.query.group) {
+      if (!canAccessGroup(req, 'student:read', req.query.group)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this group',
+        });
+      }
       query.group = req.query.group;
     }
 
@@ -76,8 +86,8 @@ router.get('/', protect, async (req, res) => {
 
 // @route   GET /api/students/:id
 // @desc    Get single student
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (student:read or student:read:own-groups)
+router.get('/:id', requirePermission('student:read', 'student:read:own-groups'), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
       .populate('group', 'name location')
@@ -91,10 +101,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user has access to this student's group
-    if (
-      req.user.role === 'teacher' &&
-      !req.user.assignedGroups.includes(student.group._id)
-    ) {
+    if (!canAccessGroup(req, 'student:read', student.group?._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this student',
@@ -115,7 +122,7 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/students
 // @desc    Create new student
-// @access  Private (Admin only)
+// @access  Private (student:write)
 const normalizeParentName = (name) => {
   if (!name) {
     return {
@@ -142,15 +149,8 @@ const normalizeParentName = (name) => {
   };
 };
 
-router.post('/', protect, async (req, res) => {
+router.post('/', requirePermission('student:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to create students',
-      });
-    }
-
     const { firstName, lastName, age, groupId, parentName, parentEmail } = req.body;
 
     if (!parentEmail) {
@@ -234,16 +234,9 @@ router.post('/', protect, async (req, res) => {
 
 // @route   PUT /api/students/:id
 // @desc    Update student
-// @access  Private (Admin only)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (student:write)
+router.put('/:id', requirePermission('student:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update students',
-      });
-    }
-
     const { firstName, lastName, age, groupId, parentName, parentEmail } = req.body;
 
     const student = await Student.findById(req.params.id);
@@ -404,16 +397,9 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/students/:id
 // @desc    Delete student
-// @access  Private (Admin only)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (student:write)
+router.delete('/:id', requirePermission('student:write'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete students',
-      });
-    }
-
     const student = await Student.findById(req.params.id);
 
     if (!student) {
@@ -0,0 +1,356 @@
+import express from 'express';
+import LeaveRequest from '../models/LeaveRequest.js';
+import TeacherAvailability from '../models/TeacherAvailability.js';
+import User from '../models/User.js';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { hasPermission, groupScope } from '../utils/permissions.js';
+import { findTeacherWarnings, findUncoveredSessions } from '../utils/teacherAvailability.js';
+import { toCalendarDate } from '../utils/timezone.js';
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['approved', 'rejected'];
+const DEFAULT_REPORT_DAYS = 30;
+
+// Reviewers may act for any teacher; everyone else only for themselves
+const resolveTeacherId = (req) => {
+  if (req.body.teacherId && hasPermission(req, 'leave:approve')) {
+    return req.body.teacherId;
+  }
+  return req.user._id;
+};
+
+const ownsOrReviews = (req, doc) => {
+  return doc.teacher.toString() === req.user._id.toString() || hasPermission(req, 'leave:approve');
+};
+
+// List filter: reviewers see everyone (optionally ?teacherId), others only themselves
+const listQuery = (req) => {
+  const query = {};
+  if (hasPermission(req, 'leave:approve')) {
+    if (req.query.teacherId) query.teacher = req.query.teacherId;
+  } else {
+    query.teacher = req.user._id;
+  }
+  if (req.query.status) query.status = req.query.status;
+  return query;
+};
+
+// Active sessions the teacher is expected to teach in a date range
+const findTeacherSessions = async (teacherId, startDate, endDate) => {
+  const teacher = await User.findById(teacherId).select('assignedGroups');
+  return Schedule.find({
+    date: { $gte: startDate, $lte: endDate },
+    status: { $nin: INACTIVE_STATUSES },
+    $or: [{ group: { $in: teacher?.assignedGroups || [] } }, { substituteTeacher: teacherId }],
+  });
+};
+
+const applyReview = (doc, req) => {
+  const { status, note } = req.body;
+  if (!REVIEW_STATUSES.includes(status)) {
+    return `Status must be one of: ${REVIEW_STATUSES.join(', ')}`;
+  }
+  if (doc.status !== 'pending') {
+    return `Request is already ${doc.status}`;
+  }
+  Object.assign(doc, {
+    status,
+    reviewNote: note,
+    reviewedBy: req.user._id,
+    reviewedAt: new Date(),
+  });
+  return null;
+};
+
+router.use(protect);
+
+// @route   GET /api/teachers/availability
+// @desc    Get availability windows (own, or any teacher's for reviewers)
+// @access  Private (availability:submit or leave:approve)
+router.get('/availability', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const windows = await TeacherAvailability.find(listQuery(req))
+      .populate('teacher', 'name email')
+      .sort({ dayOfWeek: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: windows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/teachers/availability
+// @desc    Submit an availability window. Reviewers adding one for a teacher approve it directly.
+// @access  Private (availability:submit or leave:approve)
+router.post('/availability', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const { dayOfWeek, startTime, endTime, validFrom, validUntil, note } = req.body;
+    const teacherId = resolveTeacherId(req);
+    const approved = hasPermission(req, 'leave:approve');
+
+    const window = await TeacherAvailability.create({
+      teacher: teacherId,
+      dayOfWeek,
+      startTime,
+      endTime,
+      validFrom,
+      validUntil,
+      note,
+      ...(approved && { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() }),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: window,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/teachers/availability/:id/review
+// @desc    Approve or reject an availability window. Body: status, note
+// @access  Private (leave:approve)
+router.put('/availability/:id/review', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const window = await TeacherAvailability.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability window not found',
+      });
+    }
+
+    const error = applyReview(window, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    await window.save();
+
+    res.json({
+      success: true,
+      data: window,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/teachers/availability/:id
+// @desc    Delete an availability window
+// @access  Private (owner or leave:approve)
+router.delete('/availability/:id', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const window = await TeacherAvailability.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability window not found',
+      });
+    }
+
+    if (!ownsOrReviews(req, window)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this availability window',
+      });
+    }
+
+    await window.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Availability window deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/teachers/leave
+// @desc    Get leave requests (own, or any teacher's for reviewers)
+// @access  Private (availability:submit or leave:approve)
+router.get('/leave', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const leaves = await LeaveRequest.find(listQuery(req))
+      .populate('teacher', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: leaves,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/teachers/leave
+// @desc    Request leave. Response lists the sessions the leave would affect.
+// @access  Private (availability:submit or leave:approve)
+router.post('/leave', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const { startDate, endDate, type, reason } = req.body;
+
+    const leave = await LeaveRequest.create({
+      teacher: resolveTeacherId(req),
+      startDate,
+      endDate,
+      type,
+      reason,
+    });
+
+    const affectedSessions = await findTeacherSessions(leave.teacher, leave.startDate, leave.endDate);
+
+    res.status(201).json({
+      success: true,
+      data: leave,
+      affectedSessions,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/teachers/leave/:id/review
+// @desc    Approve or reject a leave request. Body: status, note.
+//          Approval returns the sessions that now need a substitute.
+// @access  Private (leave:approve)
+router.put('/leave/:id/review', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found',
+      });
+    }
+
+    const error = applyReview(leave, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    await leave.save();
+
+    let warnings = [];
+    if (leave.status === 'approved') {
+      const sessions = await findTeacherSessions(leave.teacher, leave.startDate, leave.endDate);
+      warnings = (await findTeacherWarnings(sessions)).filter(
+        (warning) => warning.teacher === leave.teacher.toString()
+      );
+    }
+
+    res.json({
+      success: true,
+      data: leave,
+      warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/teachers/leave/:id
+// @desc    Cancel a leave request (kept with status cancelled)
+// @access  Private (owner or leave:approve)
+router.delete('/leave/:id', requirePermission('availability:submit', 'leave:approve'), async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found',
+      });
+    }
+
+    if (!ownsOrReviews(req, leave)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this leave request',
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    res.json({
+      success: true,
+      data: leave,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/teachers/reports/uncovered-sessions
+// @desc    Upcoming sessions without an available teacher (default next 30 days)
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/reports/uncovered-sessions', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const startDate = toCalendarDate(req.query.startDate || new Date());
+    const endDate = req.query.endDate
+      ? toCalendarDate(req.query.endDate)
+      : new Date(startDate.getTime() + DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    const query = {
+      date: { $gte: startDate, $lte: endDate },
+      status: { $nin: INACTIVE_STATUSES },
+    };
+    const scope = groupScope(req, 'schedule:read');
+    if (scope) {
+      query.group = { $in: scope };
+    }
+
+    const sessions = await Schedule.find(query).sort({ date: 1, startTime: 1 });
+    const uncovered = await findUncoveredSessions(sessions);
+
+    res.json({
+      success: true,
+      count: uncovered.length,
+      data: uncovered,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
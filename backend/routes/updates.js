@@ -1,15 +1,18 @@
 import express from 'express';
 import Update from '../models/Update.js';
 import Group from '../models/Group.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { hasPermission, groupScope, canAccessGroup } from '../utils/permissions.js';
 import { sendUpdateNotification } from '../utils/emailService.js';
 
 const router = express.Router();
 
+router.use(protect);
+
 // @route   GET /api/updates
 // @desc    Get all updates (with optional group filter)
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private (update:read or update:read:own-groups)
+router.get('/', requirePermission('update:read', 'update:read:own-groups'), async (req, res) => {
   try {
     let query = {};
 
@@ -18,18 +21,17 @@ router.get('/', protect, async (req, res) => {
       query.group = req.query.group;
       
       // Check if user has access to this group
-      if (req.user.role === 'teacher') {
-        if (!req.user.assignedGroups.includes(req.query.group)) {
-          return res.status(403).json({
-            success: false,
-            message: 'Not authorized to access this group',
-          });
-        }
+      if (!canAccessGroup(req, 'update:read', req.query.group)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this group',
+        });
       }
     } else {
-      // If no group specified, show updates from user's assigned groups
-      if (req.user.role === 'teacher') {
-        query.group = { $in: req.user.assignedGroups };
+      // If no group specified, limit to assigned groups unless the user can read all
+      const scope = groupScope(req, 'update:read');
+      if (scope) {
+        query.group = { $in: scope };
       }
     }
 
@@ -57,8 +59,8 @@ router.get('/', protect, async (req, res) => {
 
 // @route   GET /api/updates/:id
 // @desc    Get single update
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (update:read or update:read:own-groups)
+router.get('/:id', requirePermission('update:read', 'update:read:own-groups'), async (req, res) => {
   try {
     const update = await Update.findById(req.params.id)
       .populate('author', 'name email')
@@ -76,10 +78,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user has access to this group
-    if (
-      req.user.role === 'teacher' &&
-      !req.user.assignedGroups.includes(update.group._id)
-    ) {
+    if (!canAccessGroup(req, 'update:read', update.group._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this update',
@@ -100,8 +99,8 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/updates
 // @desc    Create new update
-// @access  Private (Teacher/Admin)
-router.post('/', protect, async (req, res) => {
+// @access  Private (update:write or update:write:own-groups)
+router.post('/', requirePermission('update:write', 'update:write:own-groups'), async (req, res) => {
   try {
     const { group, content, media } = req.body;
 
@@ -115,10 +114,7 @@ router.post('/', protect, async (req, res) => {
     }
 
     // Check if user has access to this group
-    if (
-      req.user.role === 'teacher' &&
-      !req.user.assignedGroups.includes(group)
-    ) {
+    if (!canAccessGroup(req, 'update:write', group)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to post updates to this group',
@@ -158,8 +154,8 @@ router.post('/', protect, async (req, res) => {
 
 // @route   PUT /api/updates/:id
 // @desc    Update update
-// @access  Private (Author or Admin)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (Author or update:moderate)
+router.put('/:id', async (req, res) => {
   try {
     const update = await Update.findById(req.params.id);
 
@@ -170,10 +166,10 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if user is the author or admin
+    // Check if user is the author or a moderator
     if (
       update.author.toString() !== req.user._id.toString() &&
-      req.user.role !== 'admin'
+      !hasPermission(req, 'update:moderate')
     ) {
       return res.status(403).json({
         success: false,
@@ -209,8 +205,8 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/updates/:id
 // @desc    Delete update
-// @access  Private (Author or Admin)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (Author or update:moderate)
+router.delete('/:id', async (req, res) => {
   try {
     const update = await Update.findById(req.params.id);
 
@@ -221,10 +217,10 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if user is the author or admin
+    // Check if user is the author or a moderator
     if (
       update.author.toString() !== req.user._id.toString() &&
-      req.user.role !== 'admin'
+      !hasPermission(req, 'update:moderate')
     ) {
       return res.status(403).json({
         success: false,
@@ -248,8 +244,8 @@ router.delete('/:id', protect, async (req, res) => {
 
 // @route   POST /api/updates/:id/comments
 // @desc    Add comment to update
-// @access  Private (Teacher/Admin)
-router.post('/:id/comments', protect, async (req, res) => {
+// @access  Private (update:write or update:write:own-groups)
+router.post('/:id/comments', requirePermission('update:write', 'update:write:own-groups'), async (req, res) => {
   try {
     const update = await Update.findById(req.params.id);
 
@@ -261,10 +257,7 @@ router.post('/:id/comments', protect, async (req, res) => {
     }
 
     // Check if user has access to this group
-    if (
-      req.user.role === 'teacher' &&
-      !req.user.assignedGroups.includes(update.group)
-    ) {
+    if (!canAccessGroup(req, 'update:write', update.group)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to comment on this update',
@@ -1,6 +1,6 @@
 import express from 'express';
 import upload from '../utils/upload.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { v2 as cloudinary } from 'cloudinary';
 
 const router = express.Router();
@@ -10,8 +10,8 @@ const router = express.Router();
 
 // @route   POST /api/upload
 // @desc    Upload file (image or video)
-// @access  Private
-router.post('/', protect, upload.single('file'), async (req, res) => {
+// @access  Private (upload:create)
+router.post('/', protect, requirePermission('upload:create'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
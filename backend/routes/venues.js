@@ -0,0 +1,223 @@
+import express from 'express';
+import Venue from '../models/Venue.js';
+import Group from '../models/Group.js';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { sessionsOverlap } from '../utils/conflicts.js';
+import { toCalendarDate } from '../utils/timezone.js';
+
+const router = express.Router();
+
+const VENUE_FIELDS = ['name', 'address', 'capacity', 'openingHours', 'notes', 'active'];
+
+const pickVenueFields = (body) => {
+  const fields = {};
+  VENUE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Active sessions held at the venue on the date - set explicitly or through the group's default venue
+const findVenueBookings = async (venue, date) => {
+  const day = toCalendarDate(date);
+  const groupIds = await Group.find({ venue: venue._id }).distinct('_id');
+
+  return Schedule.find({
+    date: { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) },
+    status: { $nin: INACTIVE_STATUSES },
+    $or: [{ venue: venue._id }, { venue: { $exists: false }, group: { $in: groupIds } }],
+  })
+    .populate('group', 'name')
+    .sort({ startTime: 1 });
+};
+
+router.use(protect);
+
+// @route   GET /api/venues
+// @desc    Get venues
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { active: true };
+    const venues = await Venue.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: venues,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/venues/:id/availability
+// @desc    Opening hours and bookings of a venue on ?date, and whether
+//          ?startTime-?endTime is free
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/:id/availability', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const { date, startTime, endTime } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a date',
+      });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found',
+      });
+    }
+
+    const bookings = await findVenueBookings(venue, date);
+    const data = {
+      venue,
+      openingHours: venue.hoursOn(date),
+      bookings,
+    };
+
+    if (startTime && endTime) {
+      const slot = { date, startTime, endTime };
+      data.open = venue.isOpenAt(date, startTime, endTime);
+      data.clashes = bookings.filter((booking) => sessionsOverlap(slot, booking));
+      data.available = venue.active && data.open && data.clashes.length === 0;
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/venues/:id
+// @desc    Get venue with the groups using it by default
+// @access  Private (schedule:read or schedule:read:own-groups)
+router.get('/:id', requirePermission('schedule:read', 'schedule:read:own-groups'), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found',
+      });
+    }
+
+    const groups = await Group.find({ venue: venue._id }).select('name').sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...venue.toObject(),
+        groups,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/venues
+// @desc    Create venue
+// @access  Private (venue:manage)
+router.post('/', requirePermission('venue:manage'), async (req, res) => {
+  try {
+    const venue = await Venue.create(pickVenueFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: venue,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/venues/:id
+// @desc    Update venue
+// @access  Private (venue:manage)
+router.put('/:id', requirePermission('venue:manage'), async (req, res) => {
+  try {
+    const venue = await Venue.findByIdAndUpdate(req.params.id, pickVenueFields(req.body), {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: venue,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/venues/:id
+// @desc    Delete venue that no group or session uses (deactivate it otherwise)
+// @access  Private (venue:manage)
+router.delete('/:id', requirePermission('venue:manage'), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found',
+      });
+    }
+
+    const inUse = (await Group.exists({ venue: venue._id })) || (await Schedule.exists({ venue: venue._id }));
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue is used by groups or sessions. Set active to false instead',
+      });
+    }
+
+    await venue.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Closure from '../models/Closure.js';
+
+dotenv.config();
+
+// School holidays that used to be hardcoded in routes/schedules.js.
+// Later years are added through the closures admin API.
+const SCHOOL_HOLIDAYS = [
+  ['I vaheaeg 2024-2025', '2024-10-21', '2024-10-27'],
+  ['II vaheaeg 2024-2025', '2024-12-23', '2025-01-05'],
+  ['III vaheaeg 2024-2025', '2025-02-24', '2025-03-02'],
+  ['IV vaheaeg 2024-2025', '2025-04-14', '2025-04-20'],
+  ['V vaheaeg 2024-2025', '2025-06-10', '2025-08-31'],
+  ['I vaheaeg 2025-2026', '2025-10-20', '2025-10-26'],
+  ['II vaheaeg 2025-2026', '2025-12-22', '2026-01-04'],
+  ['III vaheaeg 2025-2026', '2026-02-23', '2026-03-01'],
+  ['IV vaheaeg 2025-2026', '2026-04-06', '2026-04-12'],
+  ['V vaheaeg 2025-2026', '2026-06-09', '2026-08-31'],
+];
+
+const importHolidays = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tantsukool');
+    console.log('Connected to MongoDB');
+
+    let created = 0;
+    for (const [name, start, end] of SCHOOL_HOLIDAYS) {
+      const startDate = new Date(`${start}T00:00:00.000Z`);
+      const endDate = new Date(`${end}T00:00:00.000Z`);
+
+      // Safe to re-run - existing school closures with the same dates are skipped
+      const exists = await Closure.exists({ scope: 'school', startDate, endDate });
+      if (exists) {
+        continue;
+      }
+
+      await Closure.create({ name, startDate, endDate, scope: 'school' });
+      created += 1;
+    }
+
+    console.log(`✅ Imported ${created} holiday(s), ${SCHOOL_HOLIDAYS.length - created} already present`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+    process.exit(1);
+  }
+};
+
+importHolidays();
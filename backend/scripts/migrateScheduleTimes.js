@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Schedule from '../models/Schedule.js';
+import ScheduleSeries from '../models/ScheduleSeries.js';
+import Closure from '../models/Closure.js';
+import { applyScheduleTimes, isValidTime, toCalendarDate } from '../utils/timezone.js';
+
+dotenv.config();
+
+// One-time migration: store calendar days as 00:00 UTC of the school-local
+// date and give every schedule its startAt/endAt instants and time zone.
+// Safe to re-run. Pass --dry-run to only count what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+const migrateScheduleTimes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tantsukool');
+    console.log('Connected to MongoDB');
+
+    let changed = 0;
+    let movedDay = 0;
+    const failed = [];
+
+    for await (const schedule of Schedule.find().cursor()) {
+      const before = { date: schedule.date, startAt: schedule.startAt, endAt: schedule.endAt };
+
+      if (!schedule.date || !isValidTime(schedule.startTime) || !isValidTime(schedule.endTime)) {
+        failed.push(`${schedule._id}: invalid date or time (${schedule.startTime}-${schedule.endTime})`);
+        continue;
+      }
+
+      applyScheduleTimes(schedule);
+
+      const unchanged =
+        sameTime(before.date, schedule.date) &&
+        sameTime(before.startAt, schedule.startAt) &&
+        sameTime(before.endAt, schedule.endAt);
+      if (unchanged) {
+        continue;
+      }
+
+      changed += 1;
+      if (!sameTime(before.date, schedule.date)) {
+        movedDay += 1;
+      }
+
+      if (!dryRun) {
+        const error = schedule.validateSync();
+        if (error) {
+          failed.push(`${schedule._id}: ${error.message}`);
+          continue;
+        }
+        await schedule.save({ validateBeforeSave: false });
+      }
+    }
+
+    console.log(`Schedules: ${changed} updated (${movedDay} with a corrected calendar day)`);
+
+    // Series and closure dates are normalised by their validate hooks
+    for (const Model of [ScheduleSeries, Closure]) {
+      let count = 0;
+      for await (const doc of Model.find().cursor()) {
+        const startChanged = !sameTime(doc.startDate, toCalendarDate(doc.startDate));
+        const endChanged = !sameTime(doc.endDate, toCalendarDate(doc.endDate));
+        if (startChanged || endChanged) {
+          count += 1;
+          if (!dryRun) {
+            await doc.save();
+          }
+        }
+      }
+      console.log(`${Model.modelName}: ${count} updated`);
+    }
+
+    if (failed.length) {
+      console.warn(`⚠️  ${failed.length} schedule(s) could not be migrated:`);
+      failed.forEach((line) => console.warn(`- ${line}`));
+    }
+
+    console.log(dryRun ? 'Dry run - nothing changed' : '✅ Schedule time migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating schedule times:', error);
+    process.exit(1);
+  }
+};
+
+migrateScheduleTimes();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Venue from '../models/Venue.js';
+import Group from '../models/Group.js';
+import Schedule from '../models/Schedule.js';
+import ScheduleSeries from '../models/ScheduleSeries.js';
+
+dotenv.config();
+
+// One-time migration: turn the free-text locations of groups, schedules and
+// series into Venue documents and link them. Safe to re-run; records that
+// already have a venue are left alone. Pass --dry-run to only print the plan.
+const dryRun = process.argv.includes('--dry-run');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const migrateVenues = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tantsukool');
+    console.log('Connected to MongoDB');
+
+    const models = [Group, Schedule, ScheduleSeries];
+    const locations = new Set();
+    for (const Model of models) {
+      const values = await Model.distinct('location', { venue: { $exists: false } });
+      values
+        .map((value) => (value || '').trim())
+        .filter(Boolean)
+        .forEach((value) => locations.add(value));
+    }
+
+    console.log(`Found ${locations.size} location(s) without a venue`);
+
+    for (const location of locations) {
+      let venue = await Venue.findOne({ name: new RegExp(`^${escapeRegex(location)}$`, 'i') });
+
+      if (dryRun) {
+        console.log(`- "${location}" -> ${venue ? `existing venue ${venue.name}` : 'new venue'}`);
+        continue;
+      }
+
+      if (!venue) {
+        venue = await Venue.create({ name: location });
+      }
+
+      const counts = [];
+      for (const Model of models) {
+        const result = await Model.updateMany(
+          { location, venue: { $exists: false } },
+          { venue: venue._id }
+        );
+        counts.push(`${result.modifiedCount} ${Model.modelName}`);
+      }
+      console.log(`- "${location}" -> ${venue.name}: ${counts.join(', ')}`);
+    }
+
+    console.log(dryRun ? 'Dry run - nothing changed' : '✅ Venue migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating venues:', error);
+    process.exit(1);
+  }
+};
+
+migrateVenues();
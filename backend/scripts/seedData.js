@@ -6,6 +6,7 @@ import Student from '../models/Student.js';
 import Parent from '../models/Parent.js';
 import Schedule from '../models/Schedule.js';
 import Update from '../models/Update.js';
+import { recordAudit } from '../utils/audit.js';
 
 dotenv.config();
 
@@ -64,10 +65,20 @@ const randomTime = () => {
 
 const seedData = async () => {
   try {
+    // Wiping production data needs an explicit flag
+    if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+      console.error('Refusing to seed with NODE_ENV=production. Re-run with --force to wipe all data.');
+      process.exit(1);
+    }
+
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tantsukool');
     console.log('Connected to MongoDB');
 
+    await recordAudit('database.seed', {
+      details: { script: 'scripts/seedData.js', env: process.env.NODE_ENV || 'development' },
+    });
+
     // Clear existing data
     console.log('Clearing existing data...');
     await User.deleteMany({});
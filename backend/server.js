@@ -11,6 +11,12 @@ import updateRoutes from './routes/updates.js';
 import scheduleRoutes from './routes/schedules.js';
 import adminRoutes from './routes/admin.js';
 import uploadRoutes from './routes/upload.js';
+import parentRoutes from './routes/parent.js';
+import closureRoutes from './routes/closures.js';
+import calendarRoutes from './routes/calendar.js';
+import venueRoutes from './routes/venues.js';
+import teacherRoutes from './routes/teachers.js';
+import devRoutes from './routes/dev.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
 dotenv.config();
@@ -21,6 +27,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Number of reverse proxies in front of the app (e.g. 1 on Heroku) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // CORS configuration for Võimle Pehmelt
 const frontendOrigin = process.env.FRONTEND_URL || 'http://localhost:5174';
 
@@ -70,92 +81,23 @@ app.use('/api/updates', updateRoutes);
 app.use('/api/schedules', scheduleRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/parent', parentRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/teachers', teacherRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
 });
 
-// TEMPORARY: Full seed database endpoint - REMOVE after using!
-app.get('/api/seed-full', async (req, res) => {
-    try {
-      const User = (await import('./models/User.js')).default;
-      const Group = (await import('./models/Group.js')).default;
-      const Student = (await import('./models/Student.js')).default;
-      const Parent = (await import('./models/Parent.js')).default;
-      const Schedule = (await import('./models/Schedule.js')).default;
-      const Update = (await import('./models/Update.js')).default;
-  
-      // Clear existing data
-      await User.deleteMany({});
-      await Group.deleteMany({});
-      await Student.deleteMany({});
-      await Parent.deleteMany({});
-      await Schedule.deleteMany({});
-      await Update.deleteMany({});
-  
-      // Create admin
-      const admin = await User.create({
-        name: 'Admin User',
-        email: 'admin@tantsukool.ee',
-        password: 'admin123',
-        role: 'admin',
-      });
-  
-      // Create teachers
-      const teachers = [];
-      for (let i = 0; i < 5; i++) {
-        const teacher = await User.create({
-          name: `Õpetaja ${i + 1}`,
-          email: `teacher${i + 1}@tantsukool.ee`,
-          password: 'teacher123',
-          role: 'teacher',
-        });
-        teachers.push(teacher);
-      }
-  
-      // Create groups
-      const groupNames = [
-        'Laste Tantsugrupp',
-        'Noorte Tantsugrupp',
-        'Kontemporaarne Tants',
-        'Balleti Algajad',
-        'Hip-Hop Tants',
-      ];
-      
-      const locations = ['Tallinn', 'Tartu', 'Narva', 'Pärnu', 'Viljandi'];
-  
-      const groups = [];
-      for (let i = 0; i < 5; i++) {
-        const group = await Group.create({
-          name: groupNames[i],
-          location: locations[i],
-          description: `${groupNames[i]} asub ${locations[i]}s.`,
-          teachers: [teachers[i]._id],
-        });
-        groups.push(group);
-  
-        teachers[i].assignedGroups.push(group._id);
-        await teachers[i].save();
-      }
-  
-      res.json({ 
-        success: true,
-        message: 'Full database seeded successfully!',
-        created: {
-          users: 6,
-          groups: groups.length,
-          admin: 'admin@tantsukool.ee / admin123',
-          teachers: 'teacher1@tantsukool.ee / teacher123 (and teacher2-5)'
-        }
-      });
-    } catch (error) {
-      res.status(500).json({ 
-        success: false,
-        error: error.message 
-      });
-    }
-  });
+// Destructive seed endpoint - only in explicitly enabled non-production environments.
+// Use `npm run seed` from the server shell everywhere else.
+if (process.env.ENABLE_SEED_ENDPOINT === 'true' && process.env.NODE_ENV !== 'production') {
+  app.use('/api/dev', devRoutes);
+  console.warn('WARNING: /api/dev/seed-full is enabled and can wipe the database');
+}
 
 // Error handler
 app.use(errorHandler);
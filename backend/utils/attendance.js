@@ -0,0 +1,125 @@
+import Attendance, { ATTENDANCE_STATUSES, PRESENT_STATUSES, REASON_CODES } from '../models/Attendance.js';
+
+// Status of a record, including ones saved before statuses existed
+export const attendanceStatusOf = (record) => {
+  return record.status || (record.present ? 'present' : 'absent');
+};
+
+// Validated attendance fields from a request entry. Clients that only send
+// `present` get present/absent.
+export const resolveAttendanceState = ({ status, present, reasonCode, notes }) => {
+  const resolvedStatus = status || (present ? 'present' : 'absent');
+
+  if (!ATTENDANCE_STATUSES.includes(resolvedStatus)) {
+    return { error: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` };
+  }
+  if (reasonCode && !REASON_CODES.includes(reasonCode)) {
+    return { error: `Reason code must be one of: ${REASON_CODES.join(', ')}` };
+  }
+
+  return {
+    state: {
+      status: resolvedStatus,
+      present: PRESENT_STATUSES.includes(resolvedStatus),
+      reasonCode,
+      notes,
+    },
+  };
+};
+
+// Update operators that replace a record's state. Reason and notes missing
+// from the new state are removed rather than left over from the old one.
+const stateUpdate = (state, fields) => {
+  const update = { $set: { ...fields }, $unset: {}, $inc: { version: 1 } };
+  Object.entries(state).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') {
+      update.$unset[key] = 1;
+    } else {
+      update.$set[key] = value;
+    }
+  });
+  return update;
+};
+
+// Upsert one student's attendance for a session. A parent-reported excused
+// absence is kept when the teacher marks the student plain absent, so saving
+// the whole roster doesn't wipe it.
+export const saveAttendance = async ({
+  schedule,
+  studentId,
+  state,
+  markedBy,
+  source = 'teacher',
+  markedAt = new Date(),
+}) => {
+  const existing = await Attendance.findOne({ schedule: schedule._id, student: studentId });
+  if (existing && existing.source === 'parent' && existing.status === 'excused' && state.status === 'absent') {
+    return { attendance: existing, keptExcused: true };
+  }
+
+  const attendance = await Attendance.findOneAndUpdate(
+    { schedule: schedule._id, student: studentId },
+    stateUpdate(state, { source, markedBy, markedAt }),
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return { attendance, keptExcused: false };
+};
+
+// Count per status, with every status present
+export const emptyStatusCounts = () => {
+  return Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]));
+};
+
+const sameState = (record, state) => {
+  return (
+    attendanceStatusOf(record) === state.status &&
+    (record.reasonCode || null) === (state.reasonCode || null) &&
+    (record.notes || '') === (state.notes || '')
+  );
+};
+
+// Apply one attendance change made offline. `baseVersion` is the record
+// version the client last saw. If the record has changed since, the mark made
+// last (by markedAt) wins and the outcome is reported as a conflict.
+export const syncAttendanceChange = async ({ schedule, studentId, state, markedBy, markedAt, baseVersion }) => {
+  const existing = await Attendance.findOne({ schedule: schedule._id, student: studentId });
+  const currentVersion = existing ? existing.version || 0 : 0;
+  const conflict = Boolean(existing) && currentVersion !== (baseVersion || 0);
+
+  if (existing && sameState(existing, state)) {
+    return { outcome: 'unchanged', attendance: existing };
+  }
+  if (conflict && existing.markedAt >= markedAt) {
+    return { outcome: 'conflict', resolution: 'server', attendance: existing };
+  }
+  if (existing && existing.source === 'parent' && existing.status === 'excused' && state.status === 'absent') {
+    return { outcome: 'kept-excused', attendance: existing };
+  }
+
+  const fields = { source: 'teacher', markedBy, markedAt };
+  let attendance;
+  try {
+    attendance = existing
+      ? await Attendance.findOneAndUpdate(
+          // Only if nobody else saved the record in the meantime
+          { _id: existing._id, version: existing.version ?? null },
+          stateUpdate(state, fields),
+          { new: true, runValidators: true }
+        )
+      : await Attendance.create({ schedule: schedule._id, student: studentId, ...state, ...fields, version: 1 });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  if (!attendance) {
+    const current = await Attendance.findOne({ schedule: schedule._id, student: studentId });
+    return { outcome: 'conflict', resolution: 'server', attendance: current };
+  }
+
+  return conflict
+    ? { outcome: 'conflict', resolution: 'client', attendance, previous: existing }
+    : { outcome: 'applied', attendance };
+};
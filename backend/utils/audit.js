@@ -0,0 +1,20 @@
+import os from 'os';
+import AuditLog from '../models/AuditLog.js';
+
+// Record a security-relevant action. Pass `req` for API calls; without it
+// the entry is attributed to the CLI user running the script.
+export const recordAudit = async (action, { req, target, details } = {}) => {
+  const entry = req
+    ? {
+        source: 'api',
+        actor: req.user?._id,
+        actorName: req.user ? req.user.email : 'anonymous',
+        ip: req.ip,
+      }
+    : {
+        source: 'cli',
+        actorName: `${os.userInfo().username}@${os.hostname()}`,
+      };
+
+  return AuditLog.create({ action, target, details, ...entry });
+};
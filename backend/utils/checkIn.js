@@ -0,0 +1,36 @@
+import jwt from 'jsonwebtoken';
+
+// Check-in is open from shortly before a session starts until it ends
+export const CHECK_IN_OPENS_MINUTES = 30;
+
+// When check-in opens for a session
+export const checkInOpensAt = (schedule) => {
+  return new Date(schedule.startAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+};
+
+// Signed token for a session's QR code, expiring when the session ends. It
+// carries the start time so a rescheduled session needs a new code.
+export const generateCheckInToken = (schedule) => {
+  return jwt.sign(
+    {
+      purpose: 'check-in',
+      schedule: schedule._id.toString(),
+      startAt: schedule.startAt.getTime(),
+      exp: Math.floor(schedule.endAt.getTime() / 1000),
+    },
+    process.env.JWT_SECRET
+  );
+};
+
+// { scheduleId, startAt } from a valid check-in token, otherwise null
+export const verifyCheckInToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'check-in') {
+      return null;
+    }
+    return { scheduleId: decoded.schedule, startAt: decoded.startAt };
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,92 @@
+import Closure from '../models/Closure.js';
+import Group from '../models/Group.js';
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { calendarDateKey } from './timezone.js';
+import { sendScheduleChangeEmail } from './emailService.js';
+
+// Closures overlapping [from, to] that apply to the group (school-wide, its
+// location or the group itself). Without a group every closure is returned.
+export const findClosures = async ({ from, to, group } = {}) => {
+  const query = {};
+  if (to) query.startDate = { $lte: new Date(to) };
+  if (from) query.endDate = { $gte: new Date(`${calendarDateKey(from)}T00:00:00.000Z`) };
+
+  if (group) {
+    query.$or = [{ scope: 'school' }, { scope: 'group', group: group._id }];
+    if (group.location) {
+      query.$or.push({ scope: 'location', location: group.location });
+    }
+  }
+
+  return Closure.find(query).sort({ startDate: 1 });
+};
+
+// Predicate telling whether a date falls inside any of the closures
+export const buildClosureChecker = (closures) => {
+  const ranges = closures.map((closure) => [calendarDateKey(closure.startDate), calendarDateKey(closure.endDate)]);
+  return (date) => {
+    const dateStr = calendarDateKey(date);
+    return ranges.some(([start, end]) => dateStr >= start && dateStr <= end);
+  };
+};
+
+export const getClosureChecker = async (group, from, to) => {
+  return buildClosureChecker(await findClosures({ group, from, to }));
+};
+
+// Schedule filter matching the sessions that fall inside a closure
+export const closureScheduleQuery = async (closure) => {
+  const query = {
+    date: {
+      $gte: new Date(`${calendarDateKey(closure.startDate)}T00:00:00.000Z`),
+      $lte: new Date(`${calendarDateKey(closure.endDate)}T23:59:59.999Z`),
+    },
+  };
+
+  if (closure.scope === 'group') {
+    query.group = closure.group;
+  } else if (closure.scope === 'location') {
+    const groupIds = await Group.find({ location: closure.location }).distinct('_id');
+    query.$or = [{ group: { $in: groupIds } }, { location: closure.location }];
+  }
+
+  return query;
+};
+
+export const findAffectedSchedules = async (closure) => {
+  return Schedule.find(await closureScheduleQuery(closure))
+    .populate('group', 'name location')
+    .sort({ date: 1, startTime: 1 });
+};
+
+// Mark the sessions inside a closure as cancelled and email the parents of
+// each one. They stay visible in calendars and series edits leave them alone.
+export const cancelAffectedSchedules = async (closure, userId, { notifyParents = true } = {}) => {
+  const query = await closureScheduleQuery(closure);
+  const schedules = await Schedule.find({ ...query, status: { $nin: INACTIVE_STATUSES } })
+    .populate('group', 'name location');
+
+  const result = await Schedule.updateMany(
+    { _id: { $in: schedules.map((schedule) => schedule._id) } },
+    {
+      status: 'cancelled',
+      statusReason: closure.name,
+      statusChangedAt: new Date(),
+      statusChangedBy: userId,
+      seriesException: true,
+    }
+  );
+
+  if (notifyParents) {
+    for (const schedule of schedules) {
+      try {
+        await sendScheduleChangeEmail(schedule, { reason: closure.name });
+      } catch (emailError) {
+        console.error('Error sending schedule change email:', emailError);
+        // Don't fail the request if email fails
+      }
+    }
+  }
+
+  return { cancelled: result.modifiedCount };
+};
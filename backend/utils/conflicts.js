@@ -0,0 +1,220 @@
+import Schedule, { INACTIVE_STATUSES } from '../models/Schedule.js';
+import Group from '../models/Group.js';
+import Venue from '../models/Venue.js';
+import { calendarDateKey, isValidTime, timeToMinutes } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeLocation = (location) => (location || '').trim().toLowerCase();
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Same day and overlapping time ranges (touching ranges are not a conflict)
+export const sessionsOverlap = (a, b) => {
+  return (
+    calendarDateKey(a.date) === calendarDateKey(b.date) &&
+    timeToMinutes(a.startTime) < timeToMinutes(b.endTime) &&
+    timeToMinutes(b.startTime) < timeToMinutes(a.endTime)
+  );
+};
+
+// Explicit venue of the session, otherwise the group's default venue
+const venueOf = (session, groupsById) => {
+  return idOf(session.venue) || idOf(groupsById.get(idOf(session.group))?.venue);
+};
+
+const describeSession = (session, groupsById) => ({
+  _id: session._id,
+  title: session.title,
+  group: idOf(session.group),
+  groupName: groupsById.get(idOf(session.group))?.name,
+  date: session.date,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  location: session.location,
+  venue: venueOf(session, groupsById),
+});
+
+// Teachers working a session: the group's teachers, with a substitute in place
+// of the teacher they cover
+const sessionTeachers = (session, groupsById) => {
+  const teachers = (groupsById.get(idOf(session.group))?.teachers || []).filter(
+    (teacher) => !session.substituteFor || idOf(teacher) !== idOf(session.substituteFor)
+  );
+  const substitute = session.substituteTeacher;
+  if (substitute && !teachers.some((teacher) => idOf(teacher) === idOf(substitute))) {
+    teachers.push(substitute);
+  }
+  return teachers;
+};
+
+// Why two overlapping sessions clash: same group, a shared teacher or the same
+// venue. Free-text locations are only compared when a session has no venue.
+const conflictReasons = (a, b, groupsById) => {
+  const reasons = [];
+  const groupA = groupsById.get(idOf(a.group));
+  const groupB = groupsById.get(idOf(b.group));
+
+  if (idOf(a.group) === idOf(b.group)) {
+    reasons.push({ type: 'group' });
+  } else {
+    const teachersB = new Set(sessionTeachers(b, groupsById).map(idOf));
+    sessionTeachers(a, groupsById)
+      .filter((teacher) => teachersB.has(idOf(teacher)))
+      .forEach((teacher) => reasons.push({ type: 'teacher', teacher: idOf(teacher), teacherName: teacher.name }));
+  }
+
+  const venueA = venueOf(a, groupsById);
+  const venueB = venueOf(b, groupsById);
+  if (venueA && venueB) {
+    if (venueA === venueB) {
+      reasons.push({ type: 'venue', venue: venueA });
+    }
+  } else {
+    const locationA = normalizeLocation(a.location || groupA?.location);
+    if (locationA && locationA === normalizeLocation(b.location || groupB?.location)) {
+      reasons.push({ type: 'location', location: a.location || groupA?.location });
+    }
+  }
+
+  return reasons;
+};
+
+const loadGroups = async (groupIds) => {
+  const groups = await Group.find({ _id: { $in: [...new Set(groupIds)] } })
+    .select('name location venue teachers students')
+    .populate('teachers', 'name');
+  return new Map(groups.map((group) => [group._id.toString(), group]));
+};
+
+// Problems of a session with its venue itself: the venue is deactivated,
+// outside opening hours, or the group has more students than the venue holds
+const venueIssues = (session, venuesById, groupsById) => {
+  const venue = venuesById.get(venueOf(session, groupsById));
+  if (!venue) {
+    return [];
+  }
+
+  const reasons = [];
+  if (venue.active === false) {
+    reasons.push({
+      type: 'venue-inactive',
+      venue: idOf(venue),
+      venueName: venue.name,
+    });
+  }
+  if (!venue.isOpenAt(session.date, session.startTime, session.endTime)) {
+    reasons.push({
+      type: 'venue-closed',
+      venue: idOf(venue),
+      venueName: venue.name,
+      openingHours: venue.hoursOn(session.date),
+    });
+  }
+  const studentCount = groupsById.get(idOf(session.group))?.students.length || 0;
+  if (venue.capacity && studentCount > venue.capacity) {
+    reasons.push({
+      type: 'venue-capacity',
+      venue: idOf(venue),
+      venueName: venue.name,
+      capacity: venue.capacity,
+      students: studentCount,
+    });
+  }
+  return reasons;
+};
+
+const loadVenues = async (venueIds) => {
+  const venues = await Venue.find({ _id: { $in: [...new Set(venueIds.filter(Boolean))] } });
+  return new Map(venues.map((venue) => [venue._id.toString(), venue]));
+};
+
+// Every clashing pair among `sessions` (when `pairwise`) and between `sessions`
+// and `others`
+const collectConflicts = (sessions, others, groupsById, pairwise) => {
+  const conflicts = [];
+  const check = (session, other) => {
+    if (idOf(session._id) && idOf(session._id) === idOf(other._id)) return;
+    if (!sessionsOverlap(session, other)) return;
+    const reasons = conflictReasons(session, other, groupsById);
+    if (reasons.length) {
+      conflicts.push({
+        session: describeSession(session, groupsById),
+        conflictsWith: describeSession(other, groupsById),
+        reasons,
+      });
+    }
+  };
+
+  sessions.forEach((session, index) => {
+    others.forEach((other) => check(session, other));
+    if (pairwise) {
+      sessions.slice(index + 1).forEach((other) => check(session, other));
+    }
+  });
+
+  return conflicts;
+};
+
+export const isValidSession = (session) => {
+  return (
+    Boolean(session.date) &&
+    !Number.isNaN(new Date(session.date).getTime()) &&
+    isValidTime(session.startTime) &&
+    isValidTime(session.endTime)
+  );
+};
+
+// Conflicts of new or edited (unsaved) sessions with stored sessions, with
+// each other and with their venue's availability. Cancelled and rescheduled
+// sessions never conflict.
+export const findConflicts = async (allSessions, { ignoreIds = [] } = {}) => {
+  // Sessions without a valid date and times are left to validation
+  const sessions = allSessions.filter(
+    (session) => !INACTIVE_STATUSES.includes(session.status) && isValidSession(session)
+  );
+  if (!sessions.length) {
+    return [];
+  }
+
+  const times = sessions.map((session) => new Date(`${calendarDateKey(session.date)}T00:00:00.000Z`).getTime());
+  const existing = await Schedule.find({
+    date: { $gte: new Date(Math.min(...times)), $lt: new Date(Math.max(...times) + DAY_MS) },
+    _id: { $nin: [...sessions.map((session) => session._id).filter(Boolean), ...ignoreIds] },
+    status: { $nin: INACTIVE_STATUSES },
+  }).populate('substituteTeacher', 'name');
+
+  const groupsById = await loadGroups([...sessions, ...existing].map((session) => idOf(session.group)));
+  const venuesById = await loadVenues(sessions.map((session) => venueOf(session, groupsById)));
+
+  const availability = sessions
+    .map((session) => ({
+      session: describeSession(session, groupsById),
+      conflictsWith: null,
+      reasons: venueIssues(session, venuesById, groupsById),
+    }))
+    .filter((issue) => issue.reasons.length);
+
+  return [...availability, ...collectConflicts(sessions, existing, groupsById, true)];
+};
+
+// Conflicts between stored sessions in a date range
+export const findConflictsInRange = async (startDate, endDate) => {
+  const schedules = await Schedule.find({
+    date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+    status: { $nin: INACTIVE_STATUSES },
+  })
+    .populate('substituteTeacher', 'name')
+    .sort({ date: 1, startTime: 1 });
+
+  const groupsById = await loadGroups(schedules.map((schedule) => idOf(schedule.group)));
+
+  // Only sessions on the same day can clash
+  const byDay = new Map();
+  schedules.filter(isValidSession).forEach((schedule) => {
+    const key = calendarDateKey(schedule.date);
+    byDay.set(key, [...(byDay.get(key) || []), schedule]);
+  });
+
+  return [...byDay.values()].flatMap((daySchedules) => collectConflicts(daySchedules, [], groupsById, true));
+};
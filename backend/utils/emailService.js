@@ -98,3 +98,248 @@ export const sendUpdateNotification = async (update) => {
   }
 };
 
+
+// Send account invitation with password setup link
+export const sendInviteEmail = async (invite, token, name) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('Email transporter not available. Skipping invite email.');
+    return;
+  }
+
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/accept-invite?token=${token}`;
+  const greeting = name ? `Tere, ${name}!` : 'Tere!';
+  const expires = new Date(invite.expiresAt).toLocaleDateString('et-EE');
+
+  const mailOptions = {
+    from: `"Võimle Pehmelt" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: invite.email,
+    subject: 'Kutse Võimle Pehmelt keskkonda',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${greeting}</h2>
+        <p style="color: #666;">
+          Teid on kutsutud Võimle Pehmelt keskkonda. Konto aktiveerimiseks määrake endale parool.
+        </p>
+        <a href="${inviteUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px;">
+          Määra parool
+        </a>
+        <p style="color: #999; font-size: 12px; margin-top: 30px;">
+          Link kehtib kuni ${expires} ja seda saab kasutada ühe korra.
+        </p>
+      </div>
+    `,
+    text: `
+      ${greeting}
+
+      Teid on kutsutud Võimle Pehmelt keskkonda. Konto aktiveerimiseks määrake endale parool:
+      ${inviteUrl}
+
+      Link kehtib kuni ${expires} ja seda saab kasutada ühe korra.
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Invite email sent to ${invite.email}`);
+};
+
+// Send password reset link
+export const sendPasswordResetEmail = async (user, token) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('Email transporter not available. Skipping password reset email.');
+    return;
+  }
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/reset-password?token=${token}`;
+
+  const mailOptions = {
+    from: `"Võimle Pehmelt" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: user.email,
+    subject: 'Parooli lähtestamine - Võimle Pehmelt',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Tere, ${user.name}!</h2>
+        <p style="color: #666;">
+          Saime taotluse teie parooli lähtestamiseks. Uue parooli määramiseks vajutage allolevale nupule.
+        </p>
+        <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px;">
+          Määra uus parool
+        </a>
+        <p style="color: #999; font-size: 12px; margin-top: 30px;">
+          Link kehtib ühe tunni ja seda saab kasutada ühe korra. Kui te ei taotlenud parooli lähtestamist, võite selle kirja tähelepanuta jätta.
+        </p>
+      </div>
+    `,
+    text: `
+      Tere, ${user.name}!
+
+      Saime taotluse teie parooli lähtestamiseks. Uue parooli määramiseks avage link:
+      ${resetUrl}
+
+      Link kehtib ühe tunni ja seda saab kasutada ühe korra. Kui te ei taotlenud parooli lähtestamist, võite selle kirja tähelepanuta jätta.
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Password reset email sent to ${user.email}`);
+};
+
+// Notify user that their account was locked after repeated failed logins
+export const sendAccountLockedEmail = async (user) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('Email transporter not available. Skipping account locked email.');
+    return;
+  }
+
+  const lockedUntil = new Date(user.lockedUntil).toLocaleString('et-EE', {
+    timeZone: 'Europe/Tallinn',
+  });
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/forgot-password`;
+
+  const mailOptions = {
+    from: `"Võimle Pehmelt" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: user.email,
+    subject: 'Konto ajutiselt lukustatud - Võimle Pehmelt',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Tere, ${user.name}!</h2>
+        <p style="color: #666;">
+          Teie kontole tehti mitu ebaõnnestunud sisselogimiskatset, mistõttu on konto lukustatud kuni ${lockedUntil}.
+        </p>
+        <p style="color: #666;">
+          Kui need katsed ei olnud teie tehtud, soovitame parooli muuta.
+        </p>
+        <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px;">
+          Muuda parooli
+        </a>
+      </div>
+    `,
+    text: `
+      Tere, ${user.name}!
+
+      Teie kontole tehti mitu ebaõnnestunud sisselogimiskatset, mistõttu on konto lukustatud kuni ${lockedUntil}.
+
+      Kui need katsed ei olnud teie tehtud, soovitame parooli muuta: ${resetUrl}
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Account locked email sent to ${user.email}`);
+};
+
+// Emails of parents with a child in the group
+const getGroupParentEmails = async (groupId) => {
+  const students = await Student.find({ group: groupId }).select('_id parent');
+  const parents = await Parent.find({
+    $or: [
+      { _id: { $in: students.map((student) => student.parent).filter(Boolean) } },
+      { students: { $in: students.map((student) => student._id) } },
+    ],
+  }).select('email');
+
+  return [...new Set(parents.map((parent) => parent.email).filter(Boolean))];
+};
+
+const formatSession = (schedule) => {
+  const date = new Date(schedule.date).toLocaleDateString('et-EE', { timeZone: 'Europe/Tallinn' });
+  return `${date} kell ${schedule.startTime}-${schedule.endTime}${schedule.location ? ` (${schedule.location})` : ''}`;
+};
+
+// Tell the group's parents that a session was cancelled or moved
+export const sendScheduleChangeEmail = async (schedule, { group, reason, newSchedule } = {}) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('Email transporter not available. Skipping schedule change email.');
+    return;
+  }
+
+  const parentEmails = await getGroupParentEmails(schedule.group._id || schedule.group);
+  if (parentEmails.length === 0) {
+    return;
+  }
+
+  const groupName = group?.name || schedule.group.name || schedule.title;
+  const scheduleUrl = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/schedule`;
+  const heading = newSchedule
+    ? `${groupName}: trenn on edasi lükatud`
+    : `${groupName}: trenn jääb ära`;
+  const change = newSchedule
+    ? `Trenn ${formatSession(schedule)} toimub hoopis ${formatSession(newSchedule)}.`
+    : `Trenn ${formatSession(schedule)} jääb ära.`;
+  const reasonLine = reason ? `Põhjus: ${reason}` : '';
+
+  const mailOptions = {
+    from: `"Võimle Pehmelt" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    // Parents don't see each other's addresses
+    bcc: parentEmails,
+    subject: `${heading} - Võimle Pehmelt`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p style="color: #666;">${change}</p>
+        ${reasonLine ? `<p style="color: #666;">${reasonLine}</p>` : ''}
+        <a href="${scheduleUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px;">
+          Vaata tunniplaani
+        </a>
+      </div>
+    `,
+    text: `
+      ${heading}
+
+      ${change}
+      ${reasonLine}
+
+      Tunniplaan: ${scheduleUrl}
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Schedule change email sent to ${parentEmails.length} parents`);
+};
+
+// Tell the group's parents who is covering a session
+export const sendSubstituteTeacherEmail = async (schedule, substitute) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('Email transporter not available. Skipping substitute teacher email.');
+    return;
+  }
+
+  const parentEmails = await getGroupParentEmails(schedule.group._id || schedule.group);
+  if (parentEmails.length === 0) {
+    return;
+  }
+
+  const groupName = schedule.group.name || schedule.title;
+  const heading = `${groupName}: asendusõpetaja`;
+  const change = `Trenni ${formatSession(schedule)} viib läbi asendusõpetaja ${substitute.name}.`;
+
+  const mailOptions = {
+    from: `"Võimle Pehmelt" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+    to: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    bcc: parentEmails,
+    subject: `${heading} - Võimle Pehmelt`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p style="color: #666;">${change}</p>
+      </div>
+    `,
+    text: `
+      ${heading}
+
+      ${change}
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Substitute teacher email sent to ${parentEmails.length} parents`);
+};
@@ -0,0 +1,100 @@
+import { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { SCHOOL_TIMEZONE, calendarDateKey } from './timezone.js';
+
+const TIMEZONE = SCHOOL_TIMEZONE;
+
+// Europe/Tallinn rules so clients don't have to guess the TZID. Other school
+// time zones rely on the client knowing the TZID.
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0300',
+  'TZNAME:EEST',
+  'DTSTART:19700329T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0200',
+  'TZNAME:EET',
+  'DTSTART:19701025T040000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Lines longer than 75 octets are continued on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+
+// Local Tallinn time from the session's calendar date and HH:MM
+const formatLocal = (date, time) => {
+  const day = calendarDateKey(date).replace(/-/g, '');
+  const [hours, minutes] = String(time).split(':');
+  return `${day}T${hours.padStart(2, '0')}${(minutes || '00').padStart(2, '0')}00`;
+};
+
+const buildEvent = (schedule) => {
+  const cancelled = INACTIVE_STATUSES.includes(schedule.status);
+  const groupName = schedule.group?.name;
+  const notes = [
+    schedule.description,
+    cancelled && schedule.statusReason ? `Põhjus: ${schedule.statusReason}` : null,
+  ].filter(Boolean);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${schedule._id}@voimlepehmelt`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `LAST-MODIFIED:${formatUtc(schedule.updatedAt || schedule.createdAt || new Date())}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(schedule.date, schedule.startTime)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(schedule.date, schedule.endTime)}`,
+    `SUMMARY:${escapeText(groupName && !schedule.title.includes(groupName) ? `${schedule.title} (${groupName})` : schedule.title)}`,
+    schedule.location ? `LOCATION:${escapeText(schedule.location)}` : null,
+    notes.length ? `DESCRIPTION:${escapeText(notes.join('\n'))}` : null,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+};
+
+// Full VCALENDAR document for the given (group-populated) schedules
+export const buildCalendar = (schedules, name) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Voimle Pehmelt//Schedule//ET',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...(TIMEZONE === 'Europe/Tallinn' ? VTIMEZONE : []),
+    ...schedules.flatMap(buildEvent),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
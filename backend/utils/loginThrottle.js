@@ -0,0 +1,99 @@
+import User from '../models/User.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { sendAccountLockedEmail } from './emailService.js';
+
+// Failures allowed before backoff starts
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const IP_FREE_ATTEMPTS = 10;
+// Backoff doubles with every further failure, starting at 1s, up to 15 min
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 15 * 60;
+// Account is locked after this many failures within the window
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const ACCOUNT_LOCK_MINUTES = 30;
+// Counters reset after an hour without failures
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const backoffSeconds = (failures, freeAttempts) => {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * 2 ** (failures - freeAttempts));
+};
+
+// Seconds left until the next attempt is allowed (0 when allowed)
+const retryAfter = (failures, lastFailureAt, freeAttempts) => {
+  if (!lastFailureAt || Date.now() - lastFailureAt.getTime() > FAILURE_WINDOW_MS) {
+    return 0;
+  }
+  const allowedAt = lastFailureAt.getTime() + backoffSeconds(failures, freeAttempts) * 1000;
+  return Math.max(0, Math.ceil((allowedAt - Date.now()) / 1000));
+};
+
+export const getIpRetryAfter = async (ip) => {
+  const throttle = await LoginThrottle.findOne({ ip });
+  if (!throttle) {
+    return 0;
+  }
+  return retryAfter(throttle.failures, throttle.lastFailureAt, IP_FREE_ATTEMPTS);
+};
+
+export const getAccountRetryAfter = (user) => {
+  return retryAfter(user.failedLoginAttempts, user.lastFailedLoginAt, ACCOUNT_FREE_ATTEMPTS);
+};
+
+export const isAccountLocked = (user) => {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+};
+
+// Count a failed attempt against the IP and, when known, the account
+export const recordLoginFailure = async (ip, user) => {
+  const now = new Date();
+
+  // Atomic so parallel attempts can't all read the same count. A counter
+  // left over from an expired window starts again from zero.
+  await LoginThrottle.updateOne(
+    { ip, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 } }
+  );
+  await LoginThrottle.updateOne(
+    { ip },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+    },
+    { upsert: true }
+  );
+
+  if (!user) {
+    return;
+  }
+
+  const windowExpired =
+    !user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_WINDOW_MS;
+  const update = windowExpired
+    ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+    : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } };
+
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+
+  if (updated.failedLoginAttempts >= ACCOUNT_LOCK_THRESHOLD && !isAccountLocked(updated)) {
+    updated.lockedUntil = new Date(now.getTime() + ACCOUNT_LOCK_MINUTES * 60 * 1000);
+    updated.failedLoginAttempts = 0;
+    await updated.save();
+
+    try {
+      await sendAccountLockedEmail(updated);
+    } catch (emailError) {
+      console.error('Error sending account locked email:', emailError);
+    }
+  }
+};
+
+// Reset the account counters (successful login or admin unlock)
+export const clearAccountFailures = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }
+  );
+};
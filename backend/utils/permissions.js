@@ -0,0 +1,190 @@
+import RolePermission from '../models/RolePermission.js';
+
+// Named permissions. `:own-groups` variants limit access to the user's assignedGroups
+export const PERMISSIONS = {
+  'group:read': 'View all groups',
+  'group:read:own-groups': 'View assigned groups',
+  'group:write': 'Create, edit and delete groups',
+  'group:export': 'Export group student lists',
+  'student:read': 'View all students',
+  'student:read:own-groups': 'View students of assigned groups',
+  'student:write': 'Create, edit and delete students',
+  'schedule:read': 'View all schedules',
+  'schedule:read:own-groups': 'View schedules of assigned groups',
+  'schedule:write': 'Create, edit and delete any schedule',
+  'schedule:write:own-groups': 'Create, edit and delete schedules of assigned groups',
+  'schedule:generate': 'Generate schedules in bulk',
+  'closure:manage': 'Manage holidays and closures',
+  'venue:manage': 'Manage venues and rooms',
+  'attendance:read': 'View attendance of all groups',
+  'attendance:read:own-groups': 'View attendance of assigned groups',
+  'attendance:mark': 'Mark attendance in any group',
+  'attendance:mark:own-groups': 'Mark attendance in assigned groups',
+  'attendance:check-in': 'Check in to sessions by scanning a QR code',
+  'update:read': 'View updates of all groups',
+  'update:read:own-groups': 'View updates of assigned groups',
+  'update:write': 'Post updates and comments to any group',
+  'update:write:own-groups': 'Post updates and comments to assigned groups',
+  'update:moderate': 'Edit and delete other users\' updates',
+  'upload:create': 'Upload images and videos',
+  'portal:read': 'Use the parent portal',
+  'user:manage': 'Manage users, sessions and invites',
+  'parent:manage': 'Manage parents',
+  'stats:read': 'View dashboard statistics',
+  'permission:manage': 'Edit role permissions',
+  'audit:read': 'View the audit log',
+  'payroll:read': 'View substitution and payroll reports',
+  'availability:submit': 'Submit own availability and leave requests',
+  'leave:approve': 'Review teacher availability and leave requests',
+};
+
+// Catalog of the first permission release - overrides saved before
+// RolePermission.knownPermissions existed were made against this list
+const INITIAL_PERMISSIONS = [
+  'group:read', 'group:read:own-groups', 'group:write', 'group:export',
+  'student:read', 'student:read:own-groups', 'student:write',
+  'schedule:read', 'schedule:read:own-groups', 'schedule:write', 'schedule:write:own-groups',
+  'schedule:generate',
+  'attendance:read', 'attendance:read:own-groups', 'attendance:mark', 'attendance:mark:own-groups',
+  'update:read', 'update:read:own-groups', 'update:write', 'update:write:own-groups',
+  'update:moderate', 'upload:create', 'portal:read', 'user:manage', 'parent:manage',
+  'stats:read', 'permission:manage',
+];
+
+// Used for any role without a stored override
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS).filter((permission) => permission !== 'portal:read'),
+  teacher: [
+    'group:read:own-groups',
+    'student:read:own-groups',
+    'schedule:read:own-groups',
+    'schedule:write:own-groups',
+    'attendance:read:own-groups',
+    'attendance:mark:own-groups',
+    'update:read:own-groups',
+    'update:write:own-groups',
+    'upload:create',
+    'availability:submit',
+  ],
+  parent: ['portal:read', 'attendance:check-in'],
+  student: ['attendance:check-in'],
+};
+
+export const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// Role-to-permission map is cached briefly to avoid a query on every request
+const CACHE_TTL_MS = 60 * 1000;
+let cachedMap = null;
+let cachedAt = 0;
+
+export const invalidatePermissionCache = () => {
+  cachedMap = null;
+};
+
+// Current role-to-permission map (stored overrides merged over defaults)
+export const getRolePermissionMap = async () => {
+  if (cachedMap && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMap;
+  }
+
+  const map = { ...DEFAULT_ROLE_PERMISSIONS };
+  const overrides = await RolePermission.find();
+  overrides.forEach((override) => {
+    // Permissions added after the override was saved fall back to the defaults
+    const known = new Set(override.knownPermissions || INITIAL_PERMISSIONS);
+    const added = (DEFAULT_ROLE_PERMISSIONS[override.role] || []).filter((permission) => !known.has(permission));
+    map[override.role] = [...new Set([...override.permissions, ...added])];
+  });
+
+  // Admins can never lock themselves out of permission management
+  if (!map.admin.includes('permission:manage')) {
+    map.admin = [...map.admin, 'permission:manage'];
+  }
+
+  cachedMap = map;
+  cachedAt = Date.now();
+  return map;
+};
+
+// Every role a user holds - primary `role` plus the `roles` array
+export const getUserRoles = (user) => {
+  if (!user) {
+    return [];
+  }
+  return [...new Set([user.role, ...(user.roles || [])].filter(Boolean))];
+};
+
+// User holds at least one of the given roles
+export const hasRole = (user, ...roles) => {
+  return getUserRoles(user).some((role) => roles.includes(role));
+};
+
+// Policy switch: admins must use two-factor authentication
+export const requiresTwoFactor = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && hasRole(user, 'admin');
+};
+
+// Union of the permissions of every role the user holds (except `excludeRoles`)
+export const getUserPermissions = async (user, excludeRoles = []) => {
+  const map = await getRolePermissionMap();
+  const permissions = new Set();
+  getUserRoles(user)
+    .filter((role) => !excludeRoles.includes(role))
+    .forEach((role) => {
+      (map[role] || []).forEach((permission) => permissions.add(permission));
+    });
+  return permissions;
+};
+
+// Request user has at least one of the given permissions
+export const hasPermission = (req, ...permissions) => {
+  return permissions.some((permission) => req.permissions?.has(permission));
+};
+
+// Groups covered by a permission: null means all groups
+export const groupScope = (req, permission) => {
+  if (hasPermission(req, permission)) {
+    return null;
+  }
+  if (hasPermission(req, `${permission}:own-groups`)) {
+    return (req.user.assignedGroups || []).map((id) => id.toString());
+  }
+  return [];
+};
+
+// Permission applies to the given group, either globally or through assignedGroups
+export const canAccessGroup = (req, permission, groupId) => {
+  const scope = groupScope(req, permission);
+  if (scope === null) {
+    return true;
+  }
+  return Boolean(groupId) && scope.includes(groupId.toString());
+};
+
+// Substitutes can view a covered session and mark its attendance until this
+// many days after it ends
+const SUBSTITUTE_ACCESS_DAYS = 7;
+const SUBSTITUTE_PERMISSIONS = ['schedule:read', 'attendance:read', 'attendance:mark'];
+
+const isActiveSubstitute = (req, permission, schedule) => {
+  if (!SUBSTITUTE_PERMISSIONS.includes(permission) || !schedule.substituteTeacher) {
+    return false;
+  }
+  if (!hasPermission(req, `${permission}:own-groups`)) {
+    return false;
+  }
+  const substituteId = (schedule.substituteTeacher._id || schedule.substituteTeacher).toString();
+  if (substituteId !== req.user._id.toString()) {
+    return false;
+  }
+  const sessionEnd = new Date(schedule.endAt || schedule.date).getTime();
+  return Date.now() < sessionEnd + SUBSTITUTE_ACCESS_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Permission applies to the schedule's group, or the user is covering the session
+export const canAccessSchedule = (req, permission, schedule) => {
+  return (
+    canAccessGroup(req, permission, schedule.group?._id || schedule.group) ||
+    isActiveSubstitute(req, permission, schedule)
+  );
+};
@@ -0,0 +1,166 @@
+import Schedule from '../models/Schedule.js';
+import Attendance from '../models/Attendance.js';
+import Group from '../models/Group.js';
+import { getClosureChecker } from './closures.js';
+import { calendarDateKey, toCalendarDate } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toDateKey = (date) => calendarDateKey(date);
+
+// Monday of the date's week - occurrences are matched to their new date by week
+export const weekKey = (date) => {
+  const monday = toCalendarDate(date);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return toDateKey(monday);
+};
+
+// Fields copied from a series onto each of its occurrences
+export const SERIES_FIELDS = ['title', 'startTime', 'endTime', 'location', 'venue', 'description'];
+
+// Dates (at 00:00 UTC) on which the series occurs, optionally from a given date.
+// `isClosed` skips holidays and closures (see utils/closures.js).
+export const generateSeriesDates = (series, from, isClosed = () => false) => {
+  const excluded = new Set((series.excludedDates || []).map(toDateKey));
+  const fromKey = from ? toDateKey(from) : null;
+  const end = new Date(series.endDate);
+  const current = new Date(`${toDateKey(series.startDate)}T00:00:00.000Z`);
+  const dates = [];
+
+  // Find first occurrence of dayOfWeek
+  while (current.getUTCDay() !== series.dayOfWeek) {
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  // Always stepped from the series start so biweekly series keep their rhythm
+  while (current <= end) {
+    const key = toDateKey(current);
+    if ((!fromKey || key >= fromKey) && !isClosed(current) && !excluded.has(key)) {
+      dates.push(new Date(current));
+    }
+    current.setUTCDate(current.getUTCDate() + 7 * (series.interval || 1));
+  }
+
+  return dates;
+};
+
+export const buildOccurrence = (series, date) => {
+  const occurrence = { group: series.group, series: series._id, date };
+  SERIES_FIELDS.forEach((field) => {
+    occurrence[field] = series[field];
+  });
+  return occurrence;
+};
+
+// Delete occurrences, except those with attendance which are detached from
+// the series and kept so the attendance history survives
+export const removeOccurrences = async (query) => {
+  const occurrences = await Schedule.find(query).select('_id');
+  const ids = occurrences.map((occurrence) => occurrence._id);
+  const withAttendance = await Attendance.distinct('schedule', { schedule: { $in: ids } });
+  const keepIds = new Set(withAttendance.map((id) => id.toString()));
+  const deleteIds = ids.filter((id) => !keepIds.has(id.toString()));
+
+  await Schedule.deleteMany({ _id: { $in: deleteIds } });
+  await Schedule.updateMany(
+    { _id: { $in: withAttendance } },
+    { $unset: { series: 1 }, seriesException: false }
+  );
+
+  return { removed: deleteIds.length, detached: withAttendance.length };
+};
+
+// Closure predicate for the series' group over the series date range
+const getSeriesClosureChecker = async (series, from) => {
+  const group = await Group.findById(series.group).select('location');
+  return getClosureChecker(group || { _id: series.group }, from || series.startDate, series.endDate);
+};
+
+// Occurrences an unsaved series would create - used for dry runs
+export const previewSeriesOccurrences = async (series) => {
+  const isClosed = await getSeriesClosureChecker(series);
+  return generateSeriesDates(series, null, isClosed).map((date) => buildOccurrence(series, date));
+};
+
+// Bring stored occurrences (from `from` onwards) in line with the series rule.
+// Existing occurrences are moved within their week and updated in place so
+// their attendance stays attached; individually edited ones are left alone.
+export const syncSeriesOccurrences = async (series, from) => {
+  const dateFilter = from ? { date: { $gte: new Date(`${toDateKey(from)}T00:00:00.000Z`) } } : {};
+  const existing = await Schedule.find({ series: series._id, ...dateFilter }).sort({ date: 1 });
+
+  const isClosed = await getSeriesClosureChecker(series, from);
+
+  const targetsByWeek = new Map();
+  generateSeriesDates(series, from, isClosed).forEach((date) => targetsByWeek.set(weekKey(date), date));
+
+  // Weeks holding an edited occurrence don't get a second one
+  existing
+    .filter((occurrence) => occurrence.seriesException)
+    .forEach((occurrence) => targetsByWeek.delete(weekKey(occurrence.date)));
+
+  const summary = { created: 0, updated: 0, removed: 0, detached: 0 };
+  const orphanIds = [];
+
+  for (const occurrence of existing.filter((o) => !o.seriesException)) {
+    const key = weekKey(occurrence.date);
+    const target = targetsByWeek.get(key);
+    if (!target) {
+      orphanIds.push(occurrence._id);
+      continue;
+    }
+    targetsByWeek.delete(key);
+    Object.assign(occurrence, buildOccurrence(series, target), { updatedAt: new Date() });
+    await occurrence.save();
+    summary.updated += 1;
+  }
+
+  if (orphanIds.length) {
+    const { removed, detached } = await removeOccurrences({ _id: { $in: orphanIds } });
+    summary.removed = removed;
+    summary.detached = detached;
+  }
+
+  const toCreate = [...targetsByWeek.values()].map((date) => buildOccurrence(series, date));
+  if (toCreate.length) {
+    await Schedule.insertMany(toCreate);
+    summary.created = toCreate.length;
+  }
+
+  return summary;
+};
+
+// Split a series at an occurrence: the original ends the week before and a new
+// series with `updates` applied takes over that occurrence and all later ones
+export const splitSeries = async (series, occurrence, updates, userId) => {
+  // Split on the Monday so a move to an earlier weekday stays in the same week
+  const pivot = new Date(`${weekKey(occurrence.date)}T00:00:00.000Z`);
+
+  const { _id, __v, ...fields } = series.toObject();
+  const nextSeries = await series.constructor.create({
+    ...fields,
+    ...updates,
+    startDate: pivot,
+    createdBy: userId,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  await Schedule.updateMany(
+    { series: series._id, date: { $gte: pivot } },
+    { series: nextSeries._id }
+  );
+
+  // Nothing left before the pivot - the original series is no longer needed
+  const remaining = await Schedule.countDocuments({ series: series._id });
+  if (remaining === 0) {
+    await series.deleteOne();
+  } else {
+    series.endDate = new Date(pivot.getTime() - DAY_MS);
+    series.updatedAt = new Date();
+    await series.save();
+  }
+
+  const summary = await syncSeriesOccurrences(nextSeries, pivot);
+  return { series: nextSeries, summary };
+};
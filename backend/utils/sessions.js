@@ -0,0 +1,74 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { createToken } from './tokens.js';
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Short-lived access token bound to a server-side session
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+};
+
+// Proof that the password step of a 2FA login succeeded
+export const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+// User id from a valid challenge token, otherwise null
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a new session for a user and return the token pair
+export const createSession = async (user, req) => {
+  const { token, tokenHash } = createToken(48);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: token,
+  };
+};
+
+// Replace the session's refresh token with a new one
+export const rotateSession = async (session, req) => {
+  const { token, tokenHash } = createToken(48);
+
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = tokenHash;
+  session.lastUsedAt = new Date();
+  session.userAgent = req.get('user-agent') || session.userAgent;
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: token,
+  };
+};
+
+// Revoke every active session of a user (optionally keeping one)
+export const revokeUserSessions = async (userId, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
@@ -0,0 +1,141 @@
+import Group from '../models/Group.js';
+import User from '../models/User.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import TeacherAvailability from '../models/TeacherAvailability.js';
+import { INACTIVE_STATUSES } from '../models/Schedule.js';
+import { calendarDateKey, toCalendarDate } from './timezone.js';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const describeSession = (session, groupsById) => ({
+  _id: session._id,
+  title: session.title,
+  group: idOf(session.group),
+  groupName: groupsById.get(idOf(session.group))?.name,
+  date: session.date,
+  startTime: session.startTime,
+  endTime: session.endTime,
+});
+
+// Teachers expected to teach a session: its substitute, otherwise the group's teachers
+const sessionTeachers = (session, groupsById) => {
+  if (session.substituteTeacher) {
+    return [idOf(session.substituteTeacher)];
+  }
+  return (groupsById.get(idOf(session.group))?.teachers || []).map(idOf);
+};
+
+// Approved leave overlapping the dates and approved availability windows, per teacher
+const loadTeacherCalendars = async (teacherIds, from, to) => {
+  const [leaves, windows] = await Promise.all([
+    LeaveRequest.find({
+      teacher: { $in: teacherIds },
+      status: 'approved',
+      startDate: { $lte: to },
+      endDate: { $gte: from },
+    }),
+    TeacherAvailability.find({ teacher: { $in: teacherIds }, status: 'approved' }),
+  ]);
+
+  const calendars = new Map(teacherIds.map((id) => [id, { leaves: [], windows: [] }]));
+  leaves.forEach((leave) => calendars.get(idOf(leave.teacher))?.leaves.push(leave));
+  windows.forEach((window) => calendars.get(idOf(window.teacher))?.windows.push(window));
+  return calendars;
+};
+
+// Why a teacher can't teach the session, or null when they can
+const unavailability = (session, calendar) => {
+  const dateKey = calendarDateKey(session.date);
+
+  const leave = calendar.leaves.find(
+    (entry) => calendarDateKey(entry.startDate) <= dateKey && dateKey <= calendarDateKey(entry.endDate)
+  );
+  if (leave) {
+    return { type: 'leave', leave: leave._id, leaveType: leave.type };
+  }
+
+  const windows = calendar.windows.filter(
+    (window) =>
+      (!window.validFrom || calendarDateKey(window.validFrom) <= dateKey) &&
+      (!window.validUntil || dateKey <= calendarDateKey(window.validUntil))
+  );
+  if (!windows.length) {
+    return null;
+  }
+
+  const dayOfWeek = toCalendarDate(session.date).getUTCDay();
+  const fits = windows.some(
+    (window) =>
+      window.dayOfWeek === dayOfWeek &&
+      toMinutes(window.startTime) <= toMinutes(session.startTime) &&
+      toMinutes(session.endTime) <= toMinutes(window.endTime)
+  );
+  return fits ? null : { type: 'outside-availability' };
+};
+
+// Each active session with its expected teachers and whether they're available
+const analyseSessions = async (allSessions) => {
+  const sessions = allSessions.filter((session) => !INACTIVE_STATUSES.includes(session.status));
+  if (!sessions.length) {
+    return { groupsById: new Map(), analysed: [] };
+  }
+
+  const groupIds = [...new Set(sessions.map((session) => idOf(session.group)))];
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('name teachers');
+  const groupsById = new Map(groups.map((group) => [group._id.toString(), group]));
+
+  const teacherIds = [...new Set(sessions.flatMap((session) => sessionTeachers(session, groupsById)))];
+  const times = sessions.map((session) => toCalendarDate(session.date).getTime());
+  const calendars = await loadTeacherCalendars(
+    teacherIds,
+    new Date(Math.min(...times)),
+    new Date(Math.max(...times))
+  );
+  const teachers = await User.find({ _id: { $in: teacherIds } }).select('name');
+  const namesById = new Map(teachers.map((teacher) => [teacher._id.toString(), teacher.name]));
+
+  const analysed = sessions.map((session) => ({
+    session,
+    teachers: sessionTeachers(session, groupsById).map((teacherId) => ({
+      teacher: teacherId,
+      teacherName: namesById.get(teacherId),
+      unavailable: unavailability(session, calendars.get(teacherId)),
+    })),
+  }));
+
+  return { groupsById, analysed };
+};
+
+// Warnings for sessions whose teacher is on approved leave or outside their availability
+export const findTeacherWarnings = async (sessions) => {
+  const { groupsById, analysed } = await analyseSessions(sessions);
+
+  return analysed.flatMap(({ session, teachers }) =>
+    teachers
+      .filter((entry) => entry.unavailable)
+      .map((entry) => ({
+        session: describeSession(session, groupsById),
+        teacher: entry.teacher,
+        teacherName: entry.teacherName,
+        reason: entry.unavailable,
+      }))
+  );
+};
+
+// Sessions where none of the expected teachers is available (or there is none)
+export const findUncoveredSessions = async (sessions) => {
+  const { groupsById, analysed } = await analyseSessions(sessions);
+
+  return analysed
+    .filter(({ teachers }) => teachers.every((entry) => entry.unavailable))
+    .map(({ session, teachers }) => ({
+      session: describeSession(session, groupsById),
+      teachers,
+      reason: teachers.length ? 'teachers-unavailable' : 'no-teacher',
+    }));
+};
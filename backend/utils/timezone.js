@@ -0,0 +1,88 @@
+// School-local calendar helpers. Calendar days (Schedule.date, series and
+// closure dates) are stored as 00:00 UTC of the local date, so their ISO date
+// is the local date regardless of the server's own time zone. Actual session
+// times are stored as instants (startAt/endAt) computed in the school zone.
+export const SCHOOL_TIMEZONE = process.env.SCHOOL_TIMEZONE || 'Europe/Tallinn';
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidTime = (time) => TIME_PATTERN.test(String(time));
+
+// Minutes since midnight of a valid HH:MM time
+export const timeToMinutes = (time) => {
+  const [, hours, minutes] = String(time).match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// YYYY-MM-DD of an instant as seen in the time zone
+export const localDateKey = (date, timeZone = SCHOOL_TIMEZONE) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(date));
+};
+
+// Calendar day of a date input. "2025-03-04" and values already at 00:00 UTC
+// keep their ISO date; any other instant (e.g. local midnight sent by a
+// browser as 22:00Z the day before) is read in the school time zone.
+export const calendarDateKey = (date, timeZone = SCHOOL_TIMEZONE) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  const value = new Date(date);
+  if (value.getTime() % (24 * 60 * 60 * 1000) === 0) {
+    return value.toISOString().split('T')[0];
+  }
+  return localDateKey(value, timeZone);
+};
+
+// Stored form of a calendar day
+export const toCalendarDate = (date, timeZone = SCHOOL_TIMEZONE) => {
+  return new Date(`${calendarDateKey(date, timeZone)}T00:00:00.000Z`);
+};
+
+// Offset of the time zone from UTC at an instant, in milliseconds
+const getOffset = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Instant of a local wall-clock time (YYYY-MM-DD + HH:MM) in the time zone.
+// Offsets are re-checked so dates on either side of a DST change are correct.
+export const zonedTimeToUtc = (dateKey, time, timeZone = SCHOOL_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const firstGuess = wallClock - getOffset(new Date(wallClock), timeZone);
+  const offset = getOffset(new Date(firstGuess), timeZone);
+  return new Date(wallClock - offset);
+};
+
+// Normalise a schedule's calendar day and derive its start/end instants
+export const applyScheduleTimes = (schedule) => {
+  const timeZone = schedule.timeZone || SCHOOL_TIMEZONE;
+  const dateKey = calendarDateKey(schedule.date, timeZone);
+
+  schedule.timeZone = timeZone;
+  schedule.date = new Date(`${dateKey}T00:00:00.000Z`);
+  schedule.startAt = zonedTimeToUtc(dateKey, schedule.startTime, timeZone);
+  schedule.endAt = zonedTimeToUtc(dateKey, schedule.endTime, timeZone);
+  return schedule;
+};
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Hash a raw token for storage - only the hash is ever saved to the database
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random URL-safe token together with its hash
+export const createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};